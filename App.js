@@ -10,6 +10,7 @@ import WatchlistScreen from "./src/screens/WatchlistScreen";
 import BrowserScreen from "./src/screens/BrowserScreen";
 import SettingsScreen from "./src/screens/SettingsScreen";
 import PlatformSettingsScreen from "./src/screens/PlatformSettingsScreen";
+import AnalyticsScreen from "./src/screens/AnalyticsScreen";
 import { BrandColors } from './src/constants/Colors';
 
 const Tab = createBottomTabNavigator();
@@ -39,6 +40,11 @@ function SettingsStack() {
         component={PlatformSettingsScreen}
         options={{ title: "Platform Settings" }}
       />
+      <Stack.Screen 
+        name="Analytics" 
+        component={AnalyticsScreen}
+        options={{ title: "Protection Analytics" }}
+      />
     </Stack.Navigator>
   );
 }
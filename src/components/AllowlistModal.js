@@ -0,0 +1,87 @@
+import React, { useState, useEffect } from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import Allowlist from '../services/Allowlist';
+import PhraseListModal, { PhraseRow, PhraseListLabel, PhraseListHint } from './PhraseListModal';
+import { BrandColors } from '../constants/Colors';
+
+const getIcon = (item) => (Allowlist.isContext(item) ? 'funnel-outline' : 'checkmark-circle-outline');
+
+/**
+ * Manage the global allowlist and review each entry's own list.
+ * @param {Function} onSave - (globalItems, { [entryId]: items }) with only
+ *   the entries whose lists changed
+ */
+const AllowlistModal = ({ visible, items, entries = [], onSave, onClose }) => {
+  const [entryItems, setEntryItems] = useState({});
+
+  useEffect(() => {
+    if (visible) {
+      setEntryItems(Object.fromEntries(entries.map(entry => [entry.id, entry.allowlist || []])));
+    }
+  }, [visible, entries]);
+
+  const removeEntryItem = (entryId, item) => {
+    setEntryItems(prev => ({ ...prev, [entryId]: prev[entryId].filter(existing => existing !== item) }));
+  };
+
+  const save = (globalItems) => {
+    const changed = Object.fromEntries(
+      entries
+        .filter(entry => (entry.allowlist || []).length !== (entryItems[entry.id] || []).length)
+        .map(entry => [entry.id, entryItems[entry.id]])
+    );
+    onSave?.(globalItems, changed);
+  };
+
+  const entriesWithItems = entries.filter(entry => (entryItems[entry.id] || []).length > 0);
+
+  return (
+    <PhraseListModal
+      visible={visible}
+      title="Allowlist"
+      description={'A watchlist term inside one of these phrases doesn\'t count as a match, so "Netflix stock" ' +
+        'won\'t hide a post about Netflix. Contexts such as subreddit:stocks or platform:youtube allow every ' +
+        'mention there.'}
+      listLabel="All entries"
+      emptyText="Nothing allowed for every entry yet."
+      placeholder='e.g. "stock price" or subreddit:stocks'
+      phrases={items}
+      getIcon={getIcon}
+      onSave={save}
+      onClose={onClose}
+    >
+      <PhraseListLabel>Per entry</PhraseListLabel>
+      {entriesWithItems.length === 0 && (
+        <PhraseListHint>
+          No entry has its own allowlist. Add phrases under Allowed Phrases when editing an entry.
+        </PhraseListHint>
+      )}
+      {entriesWithItems.map(entry => (
+        <View key={entry.id} style={styles.entryGroup}>
+          <Text style={styles.entryName}>{entry.name}</Text>
+          {entryItems[entry.id].map(item => (
+            <PhraseRow
+              key={item}
+              phrase={item}
+              icon={getIcon(item)}
+              onRemove={() => removeEntryItem(entry.id, item)}
+            />
+          ))}
+        </View>
+      ))}
+    </PhraseListModal>
+  );
+};
+
+const styles = StyleSheet.create({
+  entryGroup: {
+    marginBottom: 12,
+  },
+  entryName: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: BrandColors.textPrimary,
+  },
+});
+
+export default AllowlistModal;
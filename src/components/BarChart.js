@@ -0,0 +1,78 @@
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { BrandColors } from '../constants/Colors';
+
+/**
+ * Simple bar chart: each bar shows `total` in a muted color with `value`
+ * (the part that matters, e.g. spoilers blocked out of posts scanned)
+ * filled in on top
+ */
+const BarChart = ({ data, height = 120, color = BrandColors.primary }) => {
+  const max = Math.max(1, ...data.map(point => point.total || point.value || 0));
+  const labelEvery = Math.ceil(data.length / 7);
+
+  return (
+    <View>
+      <View style={[styles.bars, { height }]}>
+        {data.map((point, index) => {
+          const total = point.total ?? point.value;
+          return (
+            <View key={point.key || index} style={styles.column}>
+              <View style={[styles.track, { height: (total / max) * height }]}>
+                <View
+                  style={[
+                    styles.fill,
+                    { height: total > 0 ? `${(point.value / total) * 100}%` : 0, backgroundColor: color },
+                  ]}
+                />
+              </View>
+            </View>
+          );
+        })}
+      </View>
+      <View style={styles.labels}>
+        {data.map((point, index) => (
+          <Text key={point.key || index} style={styles.label} numberOfLines={1}>
+            {index % labelEvery === 0 ? point.label : ''}
+          </Text>
+        ))}
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  bars: {
+    flexDirection: 'row',
+    alignItems: 'flex-end',
+  },
+  column: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'flex-end',
+    height: '100%',
+  },
+  track: {
+    width: '70%',
+    minHeight: 2,
+    borderRadius: 3,
+    justifyContent: 'flex-end',
+    overflow: 'hidden',
+    backgroundColor: BrandColors.overlayBackground,
+  },
+  fill: {
+    width: '100%',
+  },
+  labels: {
+    flexDirection: 'row',
+    marginTop: 6,
+  },
+  label: {
+    flex: 1,
+    fontSize: 10,
+    textAlign: 'center',
+    color: BrandColors.textMuted,
+  },
+});
+
+export default BarChart;
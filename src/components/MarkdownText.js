@@ -0,0 +1,144 @@
+import React from 'react';
+import { View, Text, StyleSheet, Linking, Platform } from 'react-native';
+
+/**
+ * Renders blocks from MLEngine.analyzeMarkdown. Spoiler tags (`>!text!<`,
+ * `||text||`) and sentences our detection flagged are tap-to-reveal; the
+ * rest is plain markdown.
+ * @param {Object} revealed - key -> true for tags and sentences already tapped
+ * @param {Function} onReveal - (key, segment) with segment null for spoiler tags
+ * @param {boolean} maskDetected - mask flagged sentences; only when sentence
+ *   masking is on for the item and it isn't revealed. The author's own tags
+ *   stay covered either way
+ * @param {number} numberOfLines - line limit for each block, so one long
+ *   paragraph can't fill a feed card
+ */
+const MarkdownText = ({ blocks, revealed = {}, onReveal, style, maxBlocks, numberOfLines, maskDetected = false }) => {
+  const openLink = (url) => {
+    Linking.openURL(url).catch(error => console.error('[MarkdownText] Failed to open link:', error));
+  };
+
+  // Inside an unrevealed tag every nested node takes the tag's colour, and
+  // links don't open: the first tap reveals
+  const renderInline = (nodes, keyPrefix, hidden = false) => nodes.map((node, index) => {
+    const key = `${keyPrefix}.${index}`;
+    const cover = hidden && styles.hiddenText;
+
+    switch (node.type) {
+      case 'text':
+        return node.text;
+      case 'code':
+        return <Text key={key} style={[styles.code, cover]}>{node.text}</Text>;
+      case 'strong':
+        return <Text key={key} style={[styles.strong, cover]}>{renderInline(node.children, key, hidden)}</Text>;
+      case 'em':
+        return <Text key={key} style={[styles.em, cover]}>{renderInline(node.children, key, hidden)}</Text>;
+      case 'link':
+        return (
+          <Text key={key} style={[styles.link, cover]} onPress={hidden ? undefined : () => openLink(node.url)}>
+            {renderInline(node.children, key, hidden)}
+          </Text>
+        );
+      case 'spoiler':
+        return revealed[key] ? (
+          <Text key={key} style={styles.revealedTag}>{renderInline(node.children, key)}</Text>
+        ) : (
+          <Text key={key} style={styles.tag} onPress={() => onReveal(key, null)}>
+            {renderInline(node.children, key, true)}
+          </Text>
+        );
+      default:
+        return null;
+    }
+  });
+
+  const renderSegment = (segment, key) => {
+    if (!segment.masked || !maskDetected || revealed[key]) {
+      return <Text key={key}>{renderInline(segment.children, key)}</Text>;
+    }
+
+    const terms = segment.result?.matchedTerms || [];
+    return (
+      <Text key={key}>
+        <Text style={styles.mask} onPress={() => onReveal(key, segment)}>
+          {` Spoiler${terms.length > 0 ? ` (${terms.slice(0, 2).join(', ')})` : ''} · tap to reveal `}
+        </Text>
+        {segment.text.match(/\s*$/)[0]}
+      </Text>
+    );
+  };
+
+  return (
+    <View>
+      {blocks.slice(0, maxBlocks).map((block, blockIndex) => (
+        <View
+          key={blockIndex}
+          style={[
+            block.type === 'quote' && styles.quote,
+            block.type === 'code' && styles.codeBlock,
+            block.type === 'listItem' && { paddingLeft: 12 * block.level },
+          ]}
+        >
+          <Text style={[style, block.type === 'heading' && styles.heading]} numberOfLines={numberOfLines}>
+            {block.type === 'listItem' && `${block.marker} `}
+            {block.segments.map((segment, segmentIndex) => renderSegment(segment, `${blockIndex}:${segmentIndex}`))}
+          </Text>
+        </View>
+      ))}
+    </View>
+  );
+};
+
+const monospace = Platform.OS === 'ios' ? 'Menlo' : 'monospace';
+
+const styles = StyleSheet.create({
+  heading: {
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  quote: {
+    borderLeftWidth: 3,
+    borderLeftColor: '#ddd',
+    marginLeft: 16,
+  },
+  codeBlock: {
+    backgroundColor: '#f5f5f5',
+    marginHorizontal: 16,
+    borderRadius: 4,
+  },
+  code: {
+    fontFamily: monospace,
+    fontSize: 12,
+  },
+  strong: {
+    fontWeight: 'bold',
+  },
+  em: {
+    fontStyle: 'italic',
+  },
+  link: {
+    color: '#007AFF',
+    textDecorationLine: 'underline',
+  },
+  // The author's spoiler tags look like Reddit's: a solid bar of the text's length
+  tag: {
+    backgroundColor: '#333',
+    color: '#333',
+  },
+  hiddenText: {
+    color: '#333',
+    textDecorationLine: 'none',
+  },
+  revealedTag: {
+    backgroundColor: '#eee',
+  },
+  mask: {
+    backgroundColor: '#333',
+    color: 'white',
+    fontSize: 12,
+    fontWeight: '600',
+    fontStyle: 'italic',
+  },
+});
+
+export default MarkdownText;
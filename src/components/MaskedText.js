@@ -0,0 +1,41 @@
+import React from 'react';
+import { Text, StyleSheet } from 'react-native';
+
+/**
+ * Text with some sentences covered. Each masked sentence is a tap-to-reveal
+ * block in place; the rest reads normally.
+ * @param {Array} sentences - { text, masked, result } pieces of the text, in order
+ * @param {Object} revealed - sentence index -> true once tapped
+ */
+const MaskedText = ({ sentences, revealed = {}, onReveal, style, numberOfLines }) => (
+  <Text style={style} numberOfLines={numberOfLines}>
+    {sentences.map((sentence, index) => {
+      if (!sentence.masked || revealed[index]) {
+        return <Text key={index}>{sentence.text}</Text>;
+      }
+
+      const terms = sentence.result?.matchedTerms || [];
+      return (
+        <Text key={index}>
+          <Text style={styles.mask} onPress={() => onReveal(index, sentence)}>
+            {` Spoiler${terms.length > 0 ? ` (${terms.slice(0, 2).join(', ')})` : ''} · tap to reveal `}
+          </Text>
+          {/* Keep the whitespace that separated this sentence from the next */}
+          {sentence.text.match(/\s*$/)[0]}
+        </Text>
+      );
+    })}
+  </Text>
+);
+
+const styles = StyleSheet.create({
+  mask: {
+    backgroundColor: '#333',
+    color: 'white',
+    fontSize: 12,
+    fontWeight: '600',
+    fontStyle: 'italic',
+  },
+});
+
+export default MaskedText;
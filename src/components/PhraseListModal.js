@@ -0,0 +1,209 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  ScrollView,
+  StyleSheet,
+  Modal,
+  SafeAreaView,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { BrandColors } from '../constants/Colors';
+
+/**
+ * One removable phrase in a list
+ */
+export const PhraseRow = ({ phrase, icon = 'checkmark-circle-outline', onRemove }) => (
+  <View style={styles.phraseRow}>
+    <Ionicons name={icon} size={16} color={BrandColors.textSecondary} />
+    <Text style={styles.phraseText}>{phrase}</Text>
+    <TouchableOpacity onPress={onRemove}>
+      <Ionicons name="close-circle-outline" size={20} color="#FF5722" />
+    </TouchableOpacity>
+  </View>
+);
+
+export const PhraseListLabel = ({ children }) => <Text style={styles.label}>{children}</Text>;
+
+export const PhraseListHint = ({ children }) => <Text style={styles.hint}>{children}</Text>;
+
+/**
+ * Page sheet for editing a list of phrases: add, remove, save. Anything
+ * passed as children is shown below the list.
+ * @param {Function} getIcon - phrase -> Ionicons name
+ */
+const PhraseListModal = ({
+  visible,
+  title,
+  description,
+  listLabel,
+  emptyText,
+  placeholder,
+  phrases,
+  getIcon,
+  onSave,
+  onClose,
+  children,
+}) => {
+  const [items, setItems] = useState([]);
+  const [newPhrase, setNewPhrase] = useState('');
+
+  useEffect(() => {
+    if (visible) {
+      setItems(phrases || []);
+      setNewPhrase('');
+    }
+  }, [visible, phrases]);
+
+  const addPhrase = () => {
+    const phrase = newPhrase.trim();
+    if (!phrase) return;
+    if (!items.some(item => item.toLowerCase() === phrase.toLowerCase())) {
+      setItems(prev => [...prev, phrase]);
+    }
+    setNewPhrase('');
+  };
+
+  const removePhrase = (phrase) => {
+    setItems(prev => prev.filter(item => item !== phrase));
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      presentationStyle="pageSheet"
+      onRequestClose={onClose}
+    >
+      <SafeAreaView style={styles.modalContainer}>
+        <View style={styles.modalHeader}>
+          <TouchableOpacity onPress={onClose}>
+            <Ionicons name="close" size={24} color={BrandColors.textPrimary} />
+          </TouchableOpacity>
+          <Text style={styles.modalTitle}>{title}</Text>
+          <TouchableOpacity onPress={() => onSave?.(items)}>
+            <Text style={styles.saveButton}>Save</Text>
+          </TouchableOpacity>
+        </View>
+
+        <ScrollView style={styles.modalContent}>
+          <Text style={styles.description}>{description}</Text>
+
+          <PhraseListLabel>{listLabel}</PhraseListLabel>
+          {items.length === 0 && <PhraseListHint>{emptyText}</PhraseListHint>}
+          {items.map(phrase => (
+            <PhraseRow
+              key={phrase}
+              phrase={phrase}
+              icon={getIcon?.(phrase)}
+              onRemove={() => removePhrase(phrase)}
+            />
+          ))}
+
+          <View style={styles.addRow}>
+            <TextInput
+              style={styles.input}
+              value={newPhrase}
+              onChangeText={setNewPhrase}
+              placeholder={placeholder}
+              placeholderTextColor={BrandColors.textMuted}
+              autoCapitalize="none"
+              onSubmitEditing={addPhrase}
+            />
+            <TouchableOpacity style={styles.addButton} onPress={addPhrase}>
+              <Ionicons name="add" size={20} color="white" />
+            </TouchableOpacity>
+          </View>
+
+          {children}
+        </ScrollView>
+      </SafeAreaView>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  modalContainer: {
+    flex: 1,
+    backgroundColor: BrandColors.background,
+  },
+  modalHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: 16,
+    borderBottomWidth: 1,
+    borderBottomColor: BrandColors.border,
+  },
+  modalTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: BrandColors.textPrimary,
+  },
+  saveButton: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: BrandColors.primary,
+  },
+  modalContent: {
+    flex: 1,
+    padding: 16,
+  },
+  description: {
+    fontSize: 14,
+    color: BrandColors.textSecondary,
+    lineHeight: 20,
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: BrandColors.textSecondary,
+    marginTop: 16,
+    marginBottom: 8,
+  },
+  hint: {
+    fontSize: 12,
+    color: BrandColors.textMuted,
+    lineHeight: 18,
+  },
+  phraseRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: BrandColors.border,
+  },
+  phraseText: {
+    flex: 1,
+    marginLeft: 8,
+    fontSize: 14,
+    color: BrandColors.textPrimary,
+  },
+  addRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 12,
+  },
+  input: {
+    flex: 1,
+    height: 48,
+    borderRadius: 8,
+    paddingHorizontal: 16,
+    fontSize: 16,
+    color: BrandColors.textPrimary,
+    backgroundColor: BrandColors.cardBackground,
+  },
+  addButton: {
+    width: 48,
+    height: 48,
+    borderRadius: 8,
+    marginLeft: 8,
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: BrandColors.primary,
+  },
+});
+
+export default PhraseListModal;
@@ -15,7 +15,15 @@ import {
 import { Ionicons } from '@expo/vector-icons';
 import RedditAPI from '../services/RedditAPI';
 import MLEngine from '../services/MLEngine';
+import StatsCollector from '../services/StatsCollector';
+import TimeShiftService from '../services/TimeShiftService';
+import FeedbackService from '../services/FeedbackService';
+import StorageService from '../services/StorageService';
+import { explainResult } from '../services/DetectionPipeline';
+import { getItemText } from '../utils/helpers';
 import SpoilerOverlay from './SpoilerOverlay';
+import MaskedText from './MaskedText';
+import MarkdownText from './MarkdownText';
 
 const { width: screenWidth } = Dimensions.get('window');
 
@@ -75,56 +83,92 @@ const ProtectedRedditFeed = ({ subreddit = 'all', sort = 'hot' }) => {
   };
 
   const analyzePosts = async (postList) => {
+    const timeShiftedPosts = await TimeShiftService.annotateItems(postList);
+    let analyses;
+
+    try {
+      // One batch for the whole page: every field of every post (title, body, flair, subreddit, author)
+      analyses = await MLEngine.batchAnalyze(
+        timeShiftedPosts.map(post => ({ item: post, context: { source: 'reddit' } }))
+      );
+    } catch (error) {
+      console.error('[ProtectedRedditFeed] Batch analysis failed:', error);
+      analyses = timeShiftedPosts.map(() => MLEngine.createResult(false, 0, []));
+    }
+
+    const { sentenceMasking } = await StorageService.getSettings();
     const analyzedPosts = [];
-    
-    for (const post of postList) {
-      try {
-        // Analyze title and content for spoilers
-        const titleAnalysis = await MLEngine.analyzeText(
-          post.title, 
-          { type: 'title', subreddit: post.subreddit }
-        );
-        
-        let bodyAnalysis = { hasSpoiler: false, confidence: 0, matchedTerms: [] };
-        if (post.selfText) {
-          bodyAnalysis = await MLEngine.analyzeText(
-            post.selfText,
-            { type: 'body', subreddit: post.subreddit }
-          );
-        }
 
-        // Combine analyses
-        const combinedAnalysis = combineAnalyses(titleAnalysis, bodyAnalysis);
-        
-        analyzedPosts.push({
-          ...post,
-          spoilerAnalysis: combinedAnalysis,
-          isProtected: combinedAnalysis.hasSpoiler && combinedAnalysis.confidence > 0.3
-        });
-      } catch (error) {
-        console.error('[ProtectedRedditFeed] Analysis failed for post:', post.id, error);
-        analyzedPosts.push({
-          ...post,
-          spoilerAnalysis: { hasSpoiler: false, confidence: 0, matchedTerms: [] },
-          isProtected: false
-        });
-      }
+    for (const [index, post] of timeShiftedPosts.entries()) {
+      const combinedAnalysis = applyTimeShift(analyses[index], post.timeShift);
+      const maskable = sentenceMasking && canMaskSentences(combinedAnalysis);
+      const markdown = await analyzeMarkdown(post.selfText, maskable);
+      analyzedPosts.push({
+        ...post,
+        spoilerAnalysis: combinedAnalysis,
+        isProtected: combinedAnalysis.hasSpoiler,
+        markdown,
+        sentenceMasks: maskable ? await maskSentences(post, markdown, combinedAnalysis) : null
+      });
     }
-    
+
     return analyzedPosts;
   };
 
-  const combineAnalyses = (titleAnalysis, bodyAnalysis) => {
-    const maxConfidence = Math.max(titleAnalysis.confidence, bodyAnalysis.confidence);
-    const allTerms = [...titleAnalysis.matchedTerms, ...bodyAnalysis.matchedTerms];
-    const uniqueTerms = [...new Set(allTerms)];
-    
+  // Only posts whose spoiler is in the title or self-text can be partly shown;
+  // spoiler flairs, delayed viewing and progress blocks hide the whole post
+  const canMaskSentences = (analysis) => {
+    return analysis.hasSpoiler &&
+      !analysis.timeShift &&
+      !analysis.signals.some(signal => signal.kind === 'explicit') &&
+      analysis.detailedMatches.every(match => !match.hardBlock && ['title', 'body'].includes(match.field));
+  };
+
+  // Self-text as markdown blocks with spoiler tags, and flagged sentences
+  // when they can be masked (otherwise only the tags are needed)
+  const analyzeMarkdown = async (selfText, detect) => {
+    if (!selfText) return null;
+
+    try {
+      return await MLEngine.analyzeMarkdown(selfText, { source: 'reddit', type: 'body', field: 'body' }, { detect });
+    } catch (error) {
+      console.error('[ProtectedRedditFeed] Markdown analysis failed:', error);
+      return null;
+    }
+  };
+
+  // Title split into sentences, each marked if it gives something away (the
+  // self-text's sentences are marked by analyzeMarkdown). Null, so the full
+  // overlay is used, when no single sentence does (the post is only a
+  // spoiler as a whole) or when a sentence left showing still has a spoiler
+  // cue ("Ned dies." after a masked sentence naming the show).
+  const maskSentences = async (post, markdown, analysis) => {
+    try {
+      const title = (await MLEngine.analyzeSentences(post.title, { source: 'reddit', type: 'title', field: 'title' }))
+        .map(sentence => ({ ...sentence, masked: !!sentence.result?.hasSpoiler }));
+      const segments = (markdown || []).flatMap(block => block.segments);
+      const anyMasked = title.some(sentence => sentence.masked) || segments.some(segment => segment.masked);
+      if (!anyMasked) return null;
+
+      const visible = [...title, ...segments].filter(part => !part.masked).map(part => part.text);
+      return MLEngine.hasSpoilerCues(visible, analysis) ? null : { title };
+    } catch (error) {
+      console.error('[ProtectedRedditFeed] Sentence analysis failed:', error);
+      return null;
+    }
+  };
+
+  // Posts published after a delayed viewing start are always masked
+  const applyTimeShift = (analysis, timeShift) => {
+    if (!timeShift) return analysis;
+
     return {
-      hasSpoiler: titleAnalysis.hasSpoiler || bodyAnalysis.hasSpoiler,
-      confidence: maxConfidence,
-      matchedTerms: uniqueTerms,
-      titleAnalysis,
-      bodyAnalysis
+      ...analysis,
+      hasSpoiler: true,
+      confidence: Math.max(analysis.confidence, 0.95),
+      level: 'high',
+      matchedTerms: [...new Set([...analysis.matchedTerms, timeShift.entryName])],
+      timeShift
     };
   };
 
@@ -134,17 +178,62 @@ const ProtectedRedditFeed = ({ subreddit = 'all', sort = 'hot' }) => {
     setRefreshing(false);
   }, [subreddit, sort]);
 
-  const revealPost = (postId) => {
+  const recordFeedback = (action, post) => {
+    FeedbackService.record(action, { text: getItemText(post), result: post.spoilerAnalysis })
+      .catch(error => console.error('[ProtectedRedditFeed] Failed to record feedback:', error));
+  };
+
+  const revealPost = (post) => {
+    StatsCollector.recordReveal(post.spoilerAnalysis);
+    recordFeedback('reveal', post);
+    setSpoilerStates(prev => ({
+      ...prev,
+      [post.id]: { ...prev[post.id], revealed: true }
+    }));
+  };
+
+  const hidePost = (post) => {
+    recordFeedback('keep_hidden', post);
+    setSpoilerStates(prev => ({
+      ...prev,
+      [post.id]: { ...prev[post.id], hidden: true }
+    }));
+  };
+
+  const reportFalsePositive = (post) => {
+    StatsCollector.recordFalsePositive(post.spoilerAnalysis);
+    recordFeedback('not_spoiler', post);
+    setSpoilerStates(prev => ({
+      ...prev,
+      [post.id]: { ...prev[post.id], revealed: true, reported: true }
+    }));
+  };
+
+  // Sentence is null for the author's own spoiler tags, which we only uncover
+  const revealSentence = (post, field, key, sentence) => {
+    if (sentence) {
+      StatsCollector.recordReveal(sentence.result);
+      FeedbackService.record('reveal', { text: sentence.text, result: sentence.result })
+        .catch(error => console.error('[ProtectedRedditFeed] Failed to record feedback:', error));
+    }
     setSpoilerStates(prev => ({
       ...prev,
-      [postId]: { ...prev[postId], revealed: true }
+      [post.id]: {
+        ...prev[post.id],
+        sentences: {
+          ...prev[post.id]?.sentences,
+          [field]: { ...prev[post.id]?.sentences?.[field], [key]: true }
+        }
+      }
     }));
   };
 
-  const hidePost = (postId) => {
+  // A spoiler the detector let through: learn from it and cover the post
+  const reportMissedSpoiler = (post) => {
+    recordFeedback('missed_spoiler', post);
     setSpoilerStates(prev => ({
       ...prev,
-      [postId]: { ...prev[postId], hidden: true }
+      [post.id]: { ...prev[post.id], flagged: true, revealed: false }
     }));
   };
 
@@ -181,7 +270,12 @@ const ProtectedRedditFeed = ({ subreddit = 'all', sort = 'hot' }) => {
 
   const renderPost = ({ item: post }) => {
     const spoilerState = spoilerStates[post.id] || {};
-    const shouldShowSpoilerOverlay = post.isProtected && !spoilerState.revealed && !spoilerState.hidden;
+    const sentenceMasks = spoilerState.flagged ? null : post.sentenceMasks;
+    // "Keep hidden" collapses the post; the spoiler stays covered
+    const keptHidden = spoilerState.hidden && !spoilerState.revealed;
+    const shouldShowSpoilerOverlay = (post.isProtected || spoilerState.flagged) &&
+      !sentenceMasks && !spoilerState.revealed && !spoilerState.hidden;
+    const showSentenceMasks = sentenceMasks && !spoilerState.revealed;
 
     return (
       <View style={styles.postContainer}>
@@ -199,27 +293,62 @@ const ProtectedRedditFeed = ({ subreddit = 'all', sort = 'hot' }) => {
         </View>
 
         {/* Content Area */}
-        <View style={styles.contentContainer}>
-          {shouldShowSpoilerOverlay ? (
+        <View style={[styles.contentContainer, keptHidden && styles.keptHiddenContainer]}>
+          {keptHidden ? (
+            <View style={styles.keptHidden}>
+              <Ionicons name="eye-off-outline" size={16} color="#999" />
+              <Text style={styles.keptHiddenText}>Post kept hidden</Text>
+            </View>
+          ) : shouldShowSpoilerOverlay ? (
             <SpoilerOverlay
               visible={true}
               matchedTerms={post.spoilerAnalysis.matchedTerms}
               confidence={post.spoilerAnalysis.confidence}
-              onReveal={() => revealPost(post.id)}
-              onKeepHidden={() => hidePost(post.id)}
+              level={post.spoilerAnalysis.level}
+              calibrated={post.spoilerAnalysis.calibration}
+              explanations={explainResult(post.spoilerAnalysis)}
+              onReveal={() => revealPost(post)}
+              onKeepHidden={() => hidePost(post)}
+              onReportFalsePositive={() => reportFalsePositive(post)}
+              reason={spoilerState.flagged
+                ? 'You marked this post as a spoiler'
+                : post.spoilerAnalysis.timeShift
+                ? `Posted after you started watching ${post.spoilerAnalysis.timeShift.eventTitle || post.spoilerAnalysis.timeShift.entryName} on delay`
+                : post.spoilerAnalysis.signals.find(signal => signal.kind === 'explicit')?.label
+              }
               style={styles.postSpoilerOverlay}
             />
           ) : (
             <>
               {/* Title */}
-              <TouchableOpacity onPress={() => openPost(post)}>
-                <Text style={styles.postTitle} numberOfLines={3}>
-                  {post.title}
-                </Text>
-              </TouchableOpacity>
+              {showSentenceMasks ? (
+                <MaskedText
+                  sentences={sentenceMasks.title}
+                  revealed={spoilerState.sentences?.title}
+                  onReveal={(index, sentence) => revealSentence(post, 'title', index, sentence)}
+                  style={styles.postTitle}
+                  numberOfLines={3}
+                />
+              ) : (
+                <TouchableOpacity onPress={() => openPost(post)}>
+                  <Text style={styles.postTitle} numberOfLines={3}>
+                    {post.title}
+                  </Text>
+                </TouchableOpacity>
+              )}
 
               {/* Content Preview */}
-              {post.selfText ? (
+              {post.markdown ? (
+                <MarkdownText
+                  blocks={post.markdown}
+                  revealed={spoilerState.sentences?.body}
+                  maskDetected={!!showSentenceMasks}
+                  onReveal={(key, segment) => revealSentence(post, 'body', key, segment)}
+                  style={styles.postContent}
+                  maxBlocks={3}
+                  numberOfLines={3}
+                />
+              ) : post.selfText ? (
                 <Text style={styles.postContent} numberOfLines={3}>
                   {post.selfText}
                 </Text>
@@ -263,11 +392,16 @@ const ProtectedRedditFeed = ({ subreddit = 'all', sort = 'hot' }) => {
               <Ionicons name="share-outline" size={16} color="#666" />
             </TouchableOpacity>
 
-            {post.isProtected && (
+            {post.isProtected ? (
               <View style={styles.protectedBadge}>
                 <Ionicons name="shield" size={14} color="#4CAF50" />
                 <Text style={styles.protectedText}>Protected</Text>
               </View>
+            ) : !spoilerState.flagged && (
+              <TouchableOpacity style={styles.reportButton} onPress={() => reportMissedSpoiler(post)}>
+                <Ionicons name="flag-outline" size={14} color="#666" />
+                <Text style={styles.reportText}>Spoiler?</Text>
+              </TouchableOpacity>
             )}
           </View>
 
@@ -280,6 +414,11 @@ const ProtectedRedditFeed = ({ subreddit = 'all', sort = 'hot' }) => {
               }
             </Text>
           )}
+          {explainResult(post.spoilerAnalysis)
+            .filter(line => line.suppressed)
+            .map((line, index) => (
+              <Text key={index} style={styles.debugText}>{line.text}</Text>
+            ))}
         </View>
       </View>
     );
@@ -398,6 +537,19 @@ const styles = StyleSheet.create({
     position: 'relative',
     minHeight: 80,
   },
+  keptHiddenContainer: {
+    minHeight: 0,
+  },
+  keptHidden: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 16,
+  },
+  keptHiddenText: {
+    fontSize: 14,
+    color: '#999',
+    marginLeft: 8,
+  },
   postSpoilerOverlay: {
     position: 'absolute',
     top: 0,
@@ -476,6 +628,18 @@ const styles = StyleSheet.create({
     marginLeft: 4,
     fontWeight: '600',
   },
+  reportButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginLeft: 'auto',
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+  },
+  reportText: {
+    fontSize: 10,
+    color: '#666',
+    marginLeft: 4,
+  },
   debugText: {
     fontSize: 10,
     color: '#999',
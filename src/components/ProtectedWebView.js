@@ -2,7 +2,10 @@ import React, { useState, useRef } from 'react';
 import { View, StyleSheet, Alert } from 'react-native';
 import { WebView } from 'react-native-webview';
 import SpoilerOverlay from './SpoilerOverlay';
-import SpoilerDetector from '../services/SpoilerDetector';
+import MLEngine from '../services/MLEngine';
+import { explainResult } from '../services/DetectionPipeline';
+import StatsCollector from '../services/StatsCollector';
+import FeedbackService from '../services/FeedbackService';
 import { BrandColors } from "../constants/Colors";
 
 
@@ -97,14 +100,15 @@ const ProtectedWebView = ({ url, onLoadStart, onLoadEnd }) => {
         
         if (content && content.length > 50) {
           // Analyze content for spoilers
-          const result = await SpoilerDetector.analyzeText(content);
+          const result = await MLEngine.analyze(content, { type: 'body', source: 'webview' });
           
-          if (result.hasSpoiler && result.confidence > 0.5) {
+          if (result.hasSpoiler) {
             setDetectionResult({
               ...result,
               url,
               title,
-              content: content.substring(0, 200) + '...'
+              content: content.substring(0, 200) + '...',
+              analyzedText: content
             });
             setShowSpoilerOverlay(true);
           }
@@ -115,12 +119,28 @@ const ProtectedWebView = ({ url, onLoadStart, onLoadEnd }) => {
     }
   };
 
+  const recordFeedback = (action) => {
+    if (!detectionResult) return;
+    FeedbackService.record(action, { text: detectionResult.analyzedText, result: detectionResult })
+      .catch(error => console.error('[ProtectedWebView] Failed to record feedback:', error));
+  };
+
   const handleRevealContent = () => {
+    StatsCollector.recordReveal(detectionResult);
+    recordFeedback('reveal');
+    setShowSpoilerOverlay(false);
+    setDetectionResult(null);
+  };
+
+  const handleReportFalsePositive = () => {
+    StatsCollector.recordFalsePositive(detectionResult);
+    recordFeedback('not_spoiler');
     setShowSpoilerOverlay(false);
     setDetectionResult(null);
   };
 
   const handleKeepHidden = () => {
+    recordFeedback('keep_hidden');
     setShowSpoilerOverlay(false);
     setDetectionResult(null);
     
@@ -188,8 +208,12 @@ const ProtectedWebView = ({ url, onLoadStart, onLoadEnd }) => {
         visible={showSpoilerOverlay}
         matchedTerms={detectionResult?.matchedTerms || []}
         confidence={detectionResult?.confidence || 0}
+        level={detectionResult?.level}
+        calibrated={detectionResult?.calibration}
+        explanations={detectionResult ? explainResult(detectionResult) : []}
         onReveal={handleRevealContent}
         onKeepHidden={handleKeepHidden}
+        onReportFalsePositive={handleReportFalsePositive}
       />
     </View>
   );
@@ -0,0 +1,24 @@
+import React from 'react';
+import SafeContext from '../services/SafeContext';
+import PhraseListModal, { PhraseListLabel, PhraseListHint } from './PhraseListModal';
+
+const SafePhrasesModal = ({ visible, phrases, onSave, onClose }) => (
+  <PhraseListModal
+    visible={visible}
+    title="Safe Phrases"
+    description="Posts containing these phrases are treated as spoiler-free and scored lower."
+    listLabel="Your phrases"
+    emptyText="No custom phrases yet."
+    placeholder='e.g. "trailer reaction"'
+    phrases={phrases}
+    onSave={onSave}
+    onClose={onClose}
+  >
+    <PhraseListLabel>Always recognized</PhraseListLabel>
+    <PhraseListHint>
+      {SafeContext.SPOILER_FREE_MARKERS.join(', ')}, and negations such as "won't spoil"
+    </PhraseListHint>
+  </PhraseListModal>
+);
+
+export default SafePhrasesModal;
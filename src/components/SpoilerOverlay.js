@@ -9,18 +9,33 @@ import {
 import { Ionicons } from '@expo/vector-icons';
 import { BrandColors } from "../constants/Colors";
 
+const LEVEL_COLORS = { high: '#FF5722', medium: '#FF9800', low: '#FFC107' };
+const LEVEL_LABELS = { high: 'High', medium: 'Medium', low: 'Low' };
 
 const SpoilerOverlay = ({ 
   visible, 
   matchedTerms, 
   confidence, 
+  level,
+  calibrated,
   onReveal, 
-  onKeepHidden 
+  onKeepHidden,
+  onReportFalsePositive,
+  reason,
+  explanations = []
 }) => {
   if (!visible) return null;
 
-  const confidenceColor = confidence > 0.8 ? '#FF5722' : confidence > 0.6 ? '#FF9800' : '#FFC107';
-  const confidenceText = confidence > 0.8 ? 'High' : confidence > 0.6 ? 'Medium' : 'Low';
+  // Matches that were cancelled (allowlist, progress) explain why other
+  // mentions in the same post didn't count
+  const suppressed = explanations.filter(line => line.suppressed);
+
+  // Level comes from the engine's thresholds; older callers only pass a number
+  const confidenceLevel = level && level !== 'none'
+    ? level
+    : confidence > 0.8 ? 'high' : confidence > 0.6 ? 'medium' : 'low';
+  const confidenceColor = LEVEL_COLORS[confidenceLevel];
+  const confidenceText = LEVEL_LABELS[confidenceLevel];
 
   return (
     <View style={styles.overlay}>
@@ -32,10 +47,15 @@ const SpoilerOverlay = ({
         
         <View style={styles.details}>
           <Text style={styles.confidence}>
-            Confidence: <Text style={[styles.confidenceValue, { color: confidenceColor }]}>
+            {calibrated ? 'Likely a spoiler' : 'Confidence'}: <Text style={[styles.confidenceValue, { color: confidenceColor }]}>
               {confidenceText} ({Math.round(confidence * 100)}%)
             </Text>
           </Text>
+          {calibrated && (
+            <Text style={styles.calibrationNote}>
+              Calibrated from {calibrated.examples} posts you rated
+            </Text>
+          )}
           
           {matchedTerms.length > 0 && (
             <View style={styles.termsContainer}>
@@ -50,6 +70,13 @@ const SpoilerOverlay = ({
               )}
             </View>
           )}
+
+          {suppressed.slice(0, 3).map((line, index) => (
+            <View key={index} style={styles.explanationRow}>
+              <Ionicons name="checkmark-circle-outline" size={14} color={BrandColors.textMuted} />
+              <Text style={styles.explanationText}>{line.text}</Text>
+            </View>
+          ))}
         </View>
 
         <View style={styles.actions}>
@@ -71,8 +98,14 @@ const SpoilerOverlay = ({
         </View>
         
         <Text style={styles.disclaimer}>
-          This content may contain spoilers related to your watchlist
+          {reason || 'This content may contain spoilers related to your watchlist'}
         </Text>
+
+        {onReportFalsePositive && (
+          <TouchableOpacity onPress={onReportFalsePositive}>
+            <Text style={styles.reportText}>Not a spoiler? Show it and let us know</Text>
+          </TouchableOpacity>
+        )}
       </View>
     </View>
   );
@@ -151,6 +184,17 @@ confidence: {
     fontStyle: 'italic',
     marginTop: 4,
   },
+  explanationRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 6,
+  },
+  explanationText: {
+    flex: 1,
+    marginLeft: 6,
+    fontSize: 11,
+    color: BrandColors.textMuted,
+  },
   actions: {
     flexDirection: 'row',
     width: '100%',
@@ -189,6 +233,18 @@ confidence: {
     marginTop: 16,
     lineHeight: 14,
   },
+  calibrationNote: {
+    fontSize: 11,
+    color: BrandColors.textMuted,
+    marginTop: 4,
+  },
+  reportText: {
+    fontSize: 12,
+    color: BrandColors.primary,
+    textAlign: 'center',
+    marginTop: 12,
+    textDecorationLine: 'underline',
+  },
   buttonText: {
     color: 'white',
     fontWeight: '600',
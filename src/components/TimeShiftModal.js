@@ -0,0 +1,239 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  ScrollView,
+  StyleSheet,
+  Modal,
+  SafeAreaView,
+  Alert,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import ReleaseCalendar from '../services/ReleaseCalendar';
+import { BrandColors } from '../constants/Colors';
+
+/**
+ * Parse "HH:mm" (today) or "YYYY-MM-DD HH:mm" in local time
+ */
+const parseStartTime = (value) => {
+  const trimmed = value.trim();
+  const timeOnly = trimmed.match(/^(\d{1,2}):(\d{2})$/);
+  if (timeOnly) {
+    const date = new Date();
+    date.setHours(parseInt(timeOnly[1], 10), parseInt(timeOnly[2], 10), 0, 0);
+    return date;
+  }
+
+  const date = new Date(trimmed.replace(' ', 'T'));
+  return isNaN(date.getTime()) ? null : date;
+};
+
+const TimeShiftModal = ({ visible, watchlist, onStart, onClose }) => {
+  const [selectedEntry, setSelectedEntry] = useState(null);
+  const [eventTitle, setEventTitle] = useState('');
+  const [startTime, setStartTime] = useState('');
+
+  useEffect(() => {
+    if (!visible) {
+      setSelectedEntry(null);
+      setEventTitle('');
+      setStartTime('');
+    }
+  }, [visible]);
+
+  // Most relevant calendar event: the latest one that already started, else the next one
+  const getSuggestedEvent = (entry) => {
+    const now = new Date();
+    const events = entry?.events || [];
+    const started = events.filter(event => new Date(event.startsAt) <= now);
+    return started[started.length - 1] || ReleaseCalendar.getUpcomingEvents(entry, now, 1)[0] || null;
+  };
+
+  const selectEntry = (entry) => {
+    setSelectedEntry(entry);
+    const event = getSuggestedEvent(entry);
+    if (event) {
+      const start = new Date(event.startsAt);
+      const pad = (number) => String(number).padStart(2, '0');
+      setEventTitle(event.title);
+      setStartTime(
+        `${start.getFullYear()}-${pad(start.getMonth() + 1)}-${pad(start.getDate())} ${pad(start.getHours())}:${pad(start.getMinutes())}`
+      );
+    }
+  };
+
+  const handleStart = () => {
+    const liveStart = parseStartTime(startTime);
+    if (!liveStart) {
+      Alert.alert('Invalid Time', 'Enter the live start as HH:mm or YYYY-MM-DD HH:mm');
+      return;
+    }
+    onStart?.({ entry: selectedEntry, eventTitle, liveStart });
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      presentationStyle="pageSheet"
+      onRequestClose={onClose}
+    >
+      <SafeAreaView style={styles.modalContainer}>
+        <View style={styles.modalHeader}>
+          <TouchableOpacity onPress={onClose}>
+            <Ionicons name="close" size={24} color={BrandColors.textPrimary} />
+          </TouchableOpacity>
+          <Text style={styles.modalTitle}>Watching on Delay</Text>
+          <View style={{ width: 24 }} />
+        </View>
+
+        <ScrollView style={styles.modalContent}>
+          <Text style={styles.description}>
+            Everything posted after the live start that mentions this event stays hidden until you tap "I've caught up".
+          </Text>
+
+          <Text style={styles.label}>What are you watching?</Text>
+          {watchlist.length === 0 ? (
+            <Text style={styles.hint}>Add the show or sport to your watchlist first.</Text>
+          ) : (
+            <View style={styles.chipRow}>
+              {watchlist.map(entry => (
+                <TouchableOpacity
+                  key={entry.id}
+                  style={[styles.chip, selectedEntry?.id === entry.id && styles.chipSelected]}
+                  onPress={() => selectEntry(entry)}
+                >
+                  <Text style={[styles.chipText, selectedEntry?.id === entry.id && styles.chipTextSelected]}>
+                    {entry.name}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          )}
+
+          <Text style={styles.label}>Event (optional)</Text>
+          <TextInput
+            style={styles.input}
+            value={eventTitle}
+            onChangeText={setEventTitle}
+            placeholder="e.g. Monaco GP"
+            placeholderTextColor={BrandColors.textMuted}
+          />
+
+          <Text style={styles.label}>Live start time</Text>
+          <TextInput
+            style={styles.input}
+            value={startTime}
+            onChangeText={setStartTime}
+            placeholder="15:00 or 2026-05-24 15:00"
+            placeholderTextColor={BrandColors.textMuted}
+          />
+
+          <TouchableOpacity
+            style={[styles.startButton, (!selectedEntry || !startTime.trim()) && styles.startButtonDisabled]}
+            onPress={handleStart}
+            disabled={!selectedEntry || !startTime.trim()}
+          >
+            <Ionicons name="time-outline" size={20} color="white" />
+            <Text style={styles.startButtonText}>Start Time-Shift</Text>
+          </TouchableOpacity>
+        </ScrollView>
+      </SafeAreaView>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  modalContainer: {
+    flex: 1,
+    backgroundColor: BrandColors.background,
+  },
+  modalHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: 16,
+    borderBottomWidth: 1,
+    borderBottomColor: BrandColors.border,
+  },
+  modalTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: BrandColors.textPrimary,
+  },
+  modalContent: {
+    flex: 1,
+    padding: 16,
+  },
+  description: {
+    fontSize: 14,
+    color: BrandColors.textSecondary,
+    lineHeight: 20,
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: BrandColors.textSecondary,
+    marginTop: 16,
+    marginBottom: 8,
+  },
+  hint: {
+    fontSize: 12,
+    color: BrandColors.textMuted,
+  },
+  input: {
+    height: 48,
+    borderRadius: 8,
+    paddingHorizontal: 16,
+    fontSize: 16,
+    color: BrandColors.textPrimary,
+    backgroundColor: BrandColors.cardBackground,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: BrandColors.border,
+    backgroundColor: BrandColors.cardBackground,
+  },
+  chipSelected: {
+    borderColor: BrandColors.primary,
+    backgroundColor: BrandColors.overlayBackground,
+  },
+  chipText: {
+    fontSize: 12,
+    color: BrandColors.textSecondary,
+  },
+  chipTextSelected: {
+    color: BrandColors.textPrimary,
+    fontWeight: '600',
+  },
+  startButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: BrandColors.primary,
+    paddingVertical: 12,
+    borderRadius: 8,
+    marginTop: 24,
+  },
+  startButtonDisabled: {
+    backgroundColor: BrandColors.textMuted,
+  },
+  startButtonText: {
+    color: 'white',
+    fontWeight: '600',
+    fontSize: 16,
+    marginLeft: 8,
+  },
+});
+
+export default TimeShiftModal;
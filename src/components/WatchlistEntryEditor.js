@@ -0,0 +1,557 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  ScrollView,
+  StyleSheet,
+  Modal,
+  SafeAreaView,
+  Alert,
+  Platform,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import ReleaseCalendar from '../services/ReleaseCalendar';
+import WatchlistService from '../services/WatchlistService';
+import DetectionRules from '../services/DetectionRules';
+import Allowlist from '../services/Allowlist';
+import {
+  WATCHLIST_CATEGORIES,
+  CATEGORY_INFO,
+  SENSITIVITY_LEVELS,
+} from '../utils/constants';
+import { BrandColors } from '../constants/Colors';
+
+const WatchlistEntryEditor = ({ visible, entry, onSave, onClose }) => {
+  const [name, setName] = useState('');
+  const [category, setCategory] = useState(WATCHLIST_CATEGORIES.GENERAL);
+  const [sensitivity, setSensitivity] = useState(SENSITIVITY_LEVELS.MEDIUM);
+  const [aliases, setAliases] = useState('');
+  const [localizedAliases, setLocalizedAliases] = useState('');
+  const [relatedTerms, setRelatedTerms] = useState('');
+  const [allowlist, setAllowlist] = useState([]);
+  const [allowedText, setAllowedText] = useState('');
+  const [progress, setProgress] = useState({ season: '', episode: '', chapter: '' });
+  const [events, setEvents] = useState([]);
+  const [eventTitle, setEventTitle] = useState('');
+  const [eventDate, setEventDate] = useState('');
+  const [rules, setRules] = useState([]);
+  const [ruleText, setRuleText] = useState('');
+  const [ruleError, setRuleError] = useState(null);
+
+  useEffect(() => {
+    if (!entry) return;
+    setName(entry.name);
+    setCategory(entry.category);
+    setSensitivity(entry.sensitivity);
+    setAliases(entry.aliases.join(', '));
+    setLocalizedAliases(WatchlistService.formatLocalizedAliases(entry.localizedAliases));
+    setRelatedTerms(entry.relatedTerms.join(', '));
+    setAllowlist(entry.allowlist || []);
+    setAllowedText('');
+    setProgress({
+      season: entry.progress?.season != null ? String(entry.progress.season) : '',
+      episode: entry.progress?.episode != null ? String(entry.progress.episode) : '',
+      chapter: entry.progress?.chapter != null ? String(entry.progress.chapter) : '',
+    });
+    setEvents(entry.events || []);
+    setEventTitle('');
+    setEventDate('');
+    setRules(entry.rules || []);
+    setRuleText('');
+    setRuleError(null);
+  }, [entry]);
+
+  const addEvent = () => {
+    // Accept "YYYY-MM-DD HH:mm" in local time as typed on the keyboard
+    const event = ReleaseCalendar.normalizeEvent({
+      title: eventTitle || 'Event',
+      startsAt: eventDate.trim().replace(' ', 'T'),
+    });
+    if (!event) {
+      Alert.alert('Invalid Date', 'Use the format YYYY-MM-DD HH:mm, e.g. 2026-05-24 15:00');
+      return;
+    }
+
+    setEvents(prev => ReleaseCalendar.mergeEvents(prev, [event]).events);
+    setEventTitle('');
+    setEventDate('');
+  };
+
+  const removeEvent = (eventId) => {
+    setEvents(prev => prev.filter(event => event.id !== eventId));
+  };
+
+  // Returns the rules with the typed one added, or null when it doesn't parse
+  const addRule = () => {
+    const expression = ruleText.trim();
+    if (!expression) return rules;
+
+    const error = DetectionRules.validate(expression);
+    setRuleError(error);
+    if (error) return null;
+
+    const next = rules.some(rule => rule.expression === expression)
+      ? rules
+      : [...rules, ...DetectionRules.normalizeRules([expression])];
+    setRules(next);
+    setRuleText('');
+    return next;
+  };
+
+  const updateRuleText = (value) => {
+    setRuleText(value);
+    setRuleError(null);
+  };
+
+  const removeRule = (ruleId) => {
+    setRules(prev => prev.filter(rule => rule.id !== ruleId));
+  };
+
+  // One item per row: a context like subreddit:stocks,investing has commas of its own
+  const addAllowed = () => {
+    const next = Allowlist.normalize([...allowlist, allowedText]);
+    setAllowlist(next);
+    setAllowedText('');
+    return next;
+  };
+
+  const removeAllowed = (item) => {
+    setAllowlist(prev => prev.filter(existing => existing !== item));
+  };
+
+  const updateProgress = (key, value) => {
+    setProgress(prev => ({ ...prev, [key]: value.replace(/[^0-9]/g, '') }));
+  };
+
+  const handleSave = () => {
+    if (!name.trim()) return;
+
+    // A rule still in the input counts, but only if it parses
+    const savedRules = addRule();
+    if (!savedRules) return;
+    const savedAllowlist = addAllowed();
+
+    onSave?.({
+      name: name.trim(),
+      category,
+      sensitivity,
+      aliases,
+      localizedAliases,
+      relatedTerms,
+      allowlist: savedAllowlist,
+      progress: {
+        season: progress.season,
+        episode: progress.episode,
+        chapter: progress.chapter,
+      },
+      events,
+      rules: savedRules,
+    });
+  };
+
+  const renderChip = (label, selected, onPress) => (
+    <TouchableOpacity
+      key={label}
+      style={[styles.chip, selected && styles.chipSelected]}
+      onPress={onPress}
+    >
+      <Text style={[styles.chipText, selected && styles.chipTextSelected]}>{label}</Text>
+    </TouchableOpacity>
+  );
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      presentationStyle="pageSheet"
+      onRequestClose={onClose}
+    >
+      <SafeAreaView style={styles.modalContainer}>
+        <View style={styles.modalHeader}>
+          <TouchableOpacity onPress={onClose}>
+            <Ionicons name="close" size={24} color={BrandColors.textPrimary} />
+          </TouchableOpacity>
+          <Text style={styles.modalTitle}>Edit Entry</Text>
+          <TouchableOpacity onPress={handleSave} disabled={!name.trim()}>
+            <Text style={[styles.saveText, !name.trim() && styles.saveTextDisabled]}>Save</Text>
+          </TouchableOpacity>
+        </View>
+
+        <ScrollView style={styles.modalContent}>
+          <Text style={styles.label}>Name</Text>
+          <TextInput
+            style={styles.input}
+            value={name}
+            onChangeText={setName}
+            placeholder="e.g. House of the Dragon"
+            placeholderTextColor={BrandColors.textMuted}
+          />
+
+          <Text style={styles.label}>Category</Text>
+          <View style={styles.chipRow}>
+            {Object.values(WATCHLIST_CATEGORIES).map(value =>
+              renderChip(CATEGORY_INFO[value].label, category === value, () => setCategory(value))
+            )}
+          </View>
+
+          <Text style={styles.label}>Sensitivity</Text>
+          <View style={styles.chipRow}>
+            {Object.values(SENSITIVITY_LEVELS).map(value =>
+              renderChip(value, sensitivity === value, () => setSensitivity(value))
+            )}
+          </View>
+
+          <Text style={styles.label}>Aliases</Text>
+          <TextInput
+            style={styles.input}
+            value={aliases}
+            onChangeText={setAliases}
+            placeholder="Comma separated, e.g. HOTD, House of Dragon"
+            placeholderTextColor={BrandColors.textMuted}
+          />
+
+          <Text style={styles.label}>Names in Other Languages</Text>
+          <TextInput
+            style={styles.input}
+            value={localizedAliases}
+            onChangeText={setLocalizedAliases}
+            placeholder="e.g. es: La Casa del Dragón; ja: ハウス・オブ・ザ・ドラゴン"
+            placeholderTextColor={BrandColors.textMuted}
+          />
+          <Text style={styles.hint}>
+            Language code, colon, then names separated by commas. Separate languages with semicolons.
+          </Text>
+
+          <Text style={styles.label}>Related Terms</Text>
+          <TextInput
+            style={styles.input}
+            value={relatedTerms}
+            onChangeText={setRelatedTerms}
+            placeholder="Comma separated, e.g. Rhaenyra, Targaryen"
+            placeholderTextColor={BrandColors.textMuted}
+          />
+          <Text style={styles.hint}>
+            Related terms such as characters or drivers count as weaker matches than the name and aliases.
+          </Text>
+
+          <Text style={styles.label}>Allowed Phrases</Text>
+          {allowlist.map(item => (
+            <View key={item} style={styles.eventRow}>
+              <Ionicons
+                name={Allowlist.isContext(item) ? 'funnel-outline' : 'checkmark-circle-outline'}
+                size={16}
+                color={BrandColors.textSecondary}
+              />
+              <View style={styles.eventInfo}>
+                <Text style={styles.eventTitle}>{item}</Text>
+              </View>
+              <TouchableOpacity onPress={() => removeAllowed(item)}>
+                <Ionicons name="close-circle-outline" size={20} color="#FF5722" />
+              </TouchableOpacity>
+            </View>
+          ))}
+          <TextInput
+            style={styles.input}
+            value={allowedText}
+            onChangeText={setAllowedText}
+            placeholder="e.g. Netflix stock or subreddit:stocks,investing"
+            placeholderTextColor={BrandColors.textMuted}
+            autoCapitalize="none"
+            onSubmitEditing={addAllowed}
+          />
+          <Text style={styles.hint}>
+            Mentions inside these phrases never count as a match. Contexts such as subreddit:stocks or
+            platform:youtube allow every mention there.
+          </Text>
+          <TouchableOpacity
+            style={styles.addEventButton}
+            onPress={addAllowed}
+            disabled={!allowedText.trim()}
+          >
+            <Ionicons name="add" size={18} color={BrandColors.primary} />
+            <Text style={styles.addEventText}>Add Phrase</Text>
+          </TouchableOpacity>
+
+          {category === WATCHLIST_CATEGORIES.TV_SHOW && (
+            <>
+              <Text style={styles.label}>Watched Up To</Text>
+              <View style={styles.progressRow}>
+                <TextInput
+                  style={[styles.input, styles.progressInput]}
+                  value={progress.season}
+                  onChangeText={(value) => updateProgress('season', value)}
+                  placeholder="Season"
+                  placeholderTextColor={BrandColors.textMuted}
+                  keyboardType="number-pad"
+                />
+                <TextInput
+                  style={[styles.input, styles.progressInput]}
+                  value={progress.episode}
+                  onChangeText={(value) => updateProgress('episode', value)}
+                  placeholder="Episode"
+                  placeholderTextColor={BrandColors.textMuted}
+                  keyboardType="number-pad"
+                />
+              </View>
+            </>
+          )}
+
+          {category === WATCHLIST_CATEGORIES.BOOK && (
+            <>
+              <Text style={styles.label}>Read Through Chapter</Text>
+              <TextInput
+                style={styles.input}
+                value={progress.chapter}
+                onChangeText={(value) => updateProgress('chapter', value)}
+                placeholder="Chapter"
+                placeholderTextColor={BrandColors.textMuted}
+                keyboardType="number-pad"
+              />
+            </>
+          )}
+
+          {(category === WATCHLIST_CATEGORIES.TV_SHOW || category === WATCHLIST_CATEGORIES.BOOK) && (
+            <Text style={styles.hint}>
+              Posts about parts you've already seen are let through. Anything later is always hidden.
+            </Text>
+          )}
+
+          <Text style={styles.label}>Release Calendar</Text>
+          {events.length === 0 && (
+            <Text style={styles.hint}>
+              No dates yet. Protection gets stricter around air dates, race starts and kickoffs.
+            </Text>
+          )}
+          {events.map(event => (
+            <View key={event.id} style={styles.eventRow}>
+              <Ionicons name="calendar-outline" size={16} color={BrandColors.textSecondary} />
+              <View style={styles.eventInfo}>
+                <Text style={styles.eventTitle}>{event.title}</Text>
+                <Text style={styles.eventDate}>{new Date(event.startsAt).toLocaleString()}</Text>
+              </View>
+              <TouchableOpacity onPress={() => removeEvent(event.id)}>
+                <Ionicons name="close-circle-outline" size={20} color="#FF5722" />
+              </TouchableOpacity>
+            </View>
+          ))}
+          <View style={styles.progressRow}>
+            <TextInput
+              style={[styles.input, styles.progressInput]}
+              value={eventTitle}
+              onChangeText={setEventTitle}
+              placeholder="Event, e.g. Monaco GP"
+              placeholderTextColor={BrandColors.textMuted}
+            />
+            <TextInput
+              style={[styles.input, styles.progressInput]}
+              value={eventDate}
+              onChangeText={setEventDate}
+              placeholder="YYYY-MM-DD HH:mm"
+              placeholderTextColor={BrandColors.textMuted}
+            />
+          </View>
+          <TouchableOpacity
+            style={styles.addEventButton}
+            onPress={addEvent}
+            disabled={!eventDate.trim()}
+          >
+            <Ionicons name="add" size={18} color={BrandColors.primary} />
+            <Text style={styles.addEventText}>Add Date</Text>
+          </TouchableOpacity>
+
+          <Text style={styles.label}>Detection Rules</Text>
+          {rules.length === 0 && (
+            <Text style={styles.hint}>
+              No rules yet. Rules match posts that terms alone can't describe.
+            </Text>
+          )}
+          {rules.map(rule => {
+            const error = DetectionRules.validate(rule.expression);
+            return (
+              <View key={rule.id} style={styles.eventRow}>
+                <Ionicons
+                  name={error ? 'alert-circle-outline' : 'code-slash-outline'}
+                  size={16}
+                  color={error ? '#FF5722' : BrandColors.textSecondary}
+                />
+                <View style={styles.eventInfo}>
+                  <Text style={styles.ruleText}>{rule.expression}</Text>
+                  {error && <Text style={styles.ruleError}>{DetectionRules.formatError(error)}</Text>}
+                </View>
+                <TouchableOpacity onPress={() => removeRule(rule.id)}>
+                  <Ionicons name="close-circle-outline" size={20} color="#FF5722" />
+                </TouchableOpacity>
+              </View>
+            );
+          })}
+          <TextInput
+            style={[styles.input, styles.ruleInput, ruleError && styles.inputError]}
+            value={ruleText}
+            onChangeText={updateRuleText}
+            placeholder={'e.g. "Max" NEAR/5 ("wins" OR /P[1-3]/) IN platform:reddit'}
+            placeholderTextColor={BrandColors.textMuted}
+            autoCapitalize="none"
+            autoCorrect={false}
+            multiline
+          />
+          {ruleError && (
+            <Text style={styles.ruleError}>{DetectionRules.formatError(ruleError)}</Text>
+          )}
+          <Text style={styles.hint}>
+            Combine "quoted text", words and /patterns/ with AND, OR, NOT and NEAR/n. Filter with
+            platform:, subreddit:, flair:, author: or field:, and times with created {'>'} event.start+2h.
+          </Text>
+          <TouchableOpacity
+            style={styles.addEventButton}
+            onPress={addRule}
+            disabled={!ruleText.trim()}
+          >
+            <Ionicons name="add" size={18} color={BrandColors.primary} />
+            <Text style={styles.addEventText}>Add Rule</Text>
+          </TouchableOpacity>
+        </ScrollView>
+      </SafeAreaView>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  modalContainer: {
+    flex: 1,
+    backgroundColor: BrandColors.background,
+  },
+  modalHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: 16,
+    borderBottomWidth: 1,
+    borderBottomColor: BrandColors.border,
+  },
+  modalTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: BrandColors.textPrimary,
+  },
+  saveText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: BrandColors.primary,
+  },
+  saveTextDisabled: {
+    color: BrandColors.textMuted,
+  },
+  modalContent: {
+    flex: 1,
+    padding: 16,
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: BrandColors.textSecondary,
+    marginTop: 16,
+    marginBottom: 8,
+  },
+  input: {
+    height: 48,
+    borderRadius: 8,
+    paddingHorizontal: 16,
+    fontSize: 16,
+    color: BrandColors.textPrimary,
+    backgroundColor: BrandColors.cardBackground,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: BrandColors.border,
+    backgroundColor: BrandColors.cardBackground,
+  },
+  chipSelected: {
+    borderColor: BrandColors.primary,
+    backgroundColor: BrandColors.overlayBackground,
+  },
+  chipText: {
+    fontSize: 12,
+    color: BrandColors.textSecondary,
+    textTransform: 'capitalize',
+  },
+  chipTextSelected: {
+    color: BrandColors.textPrimary,
+    fontWeight: '600',
+  },
+  progressRow: {
+    flexDirection: 'row',
+    gap: 8,
+  },
+  progressInput: {
+    flex: 1,
+  },
+  eventRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: BrandColors.border,
+  },
+  eventInfo: {
+    flex: 1,
+    marginLeft: 8,
+  },
+  eventTitle: {
+    fontSize: 14,
+    color: BrandColors.textPrimary,
+  },
+  eventDate: {
+    fontSize: 12,
+    color: BrandColors.textMuted,
+  },
+  addEventButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'flex-start',
+    marginTop: 8,
+    marginBottom: 32,
+  },
+  addEventText: {
+    color: BrandColors.primary,
+    fontWeight: '600',
+    marginLeft: 4,
+  },
+  ruleText: {
+    fontSize: 13,
+    color: BrandColors.textPrimary,
+    fontFamily: Platform.OS === 'ios' ? 'Menlo' : 'monospace',
+  },
+  ruleInput: {
+    height: undefined,
+    minHeight: 48,
+    paddingVertical: 12,
+    fontSize: 14,
+  },
+  inputError: {
+    borderWidth: 1,
+    borderColor: '#FF5722',
+  },
+  ruleError: {
+    fontSize: 12,
+    color: '#FF5722',
+    marginTop: 4,
+  },
+  hint: {
+    fontSize: 12,
+    color: BrandColors.textMuted,
+    marginTop: 8,
+    lineHeight: 16,
+  },
+});
+
+export default WatchlistEntryEditor;
@@ -0,0 +1,109 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  ScrollView,
+  StyleSheet,
+  Modal,
+  SafeAreaView,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { BrandColors } from '../constants/Colors';
+
+const WatchlistImportModal = ({ visible, onImport, onClose }) => {
+  const [text, setText] = useState('');
+
+  useEffect(() => {
+    if (visible) setText('');
+  }, [visible]);
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      presentationStyle="pageSheet"
+      onRequestClose={onClose}
+    >
+      <SafeAreaView style={styles.modalContainer}>
+        <View style={styles.modalHeader}>
+          <TouchableOpacity onPress={onClose}>
+            <Ionicons name="close" size={24} color={BrandColors.textPrimary} />
+          </TouchableOpacity>
+          <Text style={styles.modalTitle}>Import Watchlist</Text>
+          <TouchableOpacity onPress={() => onImport?.(text)} disabled={!text.trim()}>
+            <Text style={[styles.importButton, !text.trim() && styles.importButtonDisabled]}>Import</Text>
+          </TouchableOpacity>
+        </View>
+
+        <ScrollView style={styles.modalContent}>
+          <Text style={styles.description}>
+            Paste a watchlist exported from Spoiler Shield, or a list of names with one per line.
+            Entries you already have keep their settings and gain any new detection rules.
+          </Text>
+
+          <TextInput
+            style={styles.input}
+            value={text}
+            onChangeText={setText}
+            placeholder='{"format": "spoiler-shield-watchlist", ...}'
+            placeholderTextColor={BrandColors.textMuted}
+            autoCapitalize="none"
+            autoCorrect={false}
+            multiline
+          />
+        </ScrollView>
+      </SafeAreaView>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  modalContainer: {
+    flex: 1,
+    backgroundColor: BrandColors.background,
+  },
+  modalHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: 16,
+    borderBottomWidth: 1,
+    borderBottomColor: BrandColors.border,
+  },
+  modalTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: BrandColors.textPrimary,
+  },
+  importButton: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: BrandColors.primary,
+  },
+  importButtonDisabled: {
+    color: BrandColors.textMuted,
+  },
+  modalContent: {
+    flex: 1,
+    padding: 16,
+  },
+  description: {
+    fontSize: 14,
+    color: BrandColors.textSecondary,
+    lineHeight: 20,
+  },
+  input: {
+    minHeight: 200,
+    marginTop: 16,
+    borderRadius: 8,
+    padding: 16,
+    fontSize: 13,
+    color: BrandColors.textPrimary,
+    backgroundColor: BrandColors.cardBackground,
+    textAlignVertical: 'top',
+  },
+});
+
+export default WatchlistImportModal;
@@ -0,0 +1,129 @@
+import React from 'react';
+import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import ProgressTracker from '../services/ProgressTracker';
+import DetectionRules from '../services/DetectionRules';
+import { CATEGORY_INFO } from '../utils/constants';
+import { BrandColors } from '../constants/Colors';
+
+const SENSITIVITY_COLORS = {
+  low: '#FFC107',
+  medium: '#FF9800',
+  high: '#FF5722',
+};
+
+const WatchlistItem = ({ entry, index, onPress, onRemove }) => {
+  const category = CATEGORY_INFO[entry.category] || CATEGORY_INFO.general;
+  const extraTerms = [
+    ...entry.aliases,
+    ...Object.values(entry.localizedAliases || {}).flat(),
+    ...entry.relatedTerms,
+  ];
+  const rules = entry.rules || [];
+  const invalidRules = rules.filter(rule => DetectionRules.validate(rule.expression)).length;
+
+  return (
+    <TouchableOpacity style={styles.listItem} onPress={() => onPress?.(entry)}>
+      <Ionicons name={category.icon} size={22} color={BrandColors.primary} style={styles.categoryIcon} />
+      <View style={styles.itemContent}>
+        <Text style={styles.itemText}>{entry.name}</Text>
+        <View style={styles.metaRow}>
+          <Text style={styles.itemMeta}>#{index + 1} • {category.label}</Text>
+          <View style={[styles.sensitivityBadge, { borderColor: SENSITIVITY_COLORS[entry.sensitivity] }]}>
+            <Text style={[styles.sensitivityText, { color: SENSITIVITY_COLORS[entry.sensitivity] }]}>
+              {entry.sensitivity}
+            </Text>
+          </View>
+          {ProgressTracker.hasProgress(entry.progress) && (
+            <Text style={styles.progressText}>
+              Up to {ProgressTracker.formatProgress(entry.progress)}
+            </Text>
+          )}
+        </View>
+        {extraTerms.length > 0 && (
+          <Text style={styles.aliasText} numberOfLines={1}>
+            Also: {extraTerms.join(', ')}
+          </Text>
+        )}
+        {rules.length > 0 && (
+          <Text style={[styles.aliasText, invalidRules > 0 && styles.ruleErrorText]} numberOfLines={1}>
+            {rules.length} {rules.length === 1 ? 'rule' : 'rules'}
+            {invalidRules > 0 && ` • ${invalidRules} with errors, tap to fix`}
+          </Text>
+        )}
+      </View>
+      <TouchableOpacity
+        style={styles.removeButton}
+        onPress={() => onRemove?.(entry)}
+      >
+        <Ionicons name="trash-outline" size={20} color="#FF5722" />
+      </TouchableOpacity>
+    </TouchableOpacity>
+  );
+};
+
+const styles = StyleSheet.create({
+  listItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: BrandColors.cardBackground,
+    marginHorizontal: 16,
+    marginVertical: 4,
+    padding: 16,
+    borderRadius: 8,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+    elevation: 2,
+  },
+  categoryIcon: {
+    marginRight: 12,
+  },
+  itemContent: {
+    flex: 1,
+  },
+  itemText: {
+    fontSize: 16,
+    fontWeight: '500',
+    color: BrandColors.textPrimary,
+  },
+  metaRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 2,
+  },
+  itemMeta: {
+    fontSize: 12,
+    color: BrandColors.textPrimary,
+  },
+  sensitivityBadge: {
+    borderWidth: 1,
+    borderRadius: 8,
+    paddingHorizontal: 6,
+    marginLeft: 8,
+  },
+  sensitivityText: {
+    fontSize: 10,
+    fontWeight: '600',
+    textTransform: 'uppercase',
+  },
+  progressText: {
+    fontSize: 12,
+    color: BrandColors.success,
+    marginLeft: 8,
+  },
+  aliasText: {
+    fontSize: 12,
+    color: BrandColors.textMuted,
+    marginTop: 4,
+  },
+  ruleErrorText: {
+    color: '#FF5722',
+  },
+  removeButton: {
+    padding: 8,
+  },
+});
+
+export default WatchlistItem;
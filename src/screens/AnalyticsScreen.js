@@ -0,0 +1,265 @@
+import React, { useState, useCallback } from "react";
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  ScrollView,
+  RefreshControl,
+} from "react-native";
+import { useFocusEffect } from "@react-navigation/native";
+import StatsCollector from "../services/StatsCollector";
+import StorageService from "../services/StorageService";
+import BarChart from "../components/BarChart";
+import { BrandColors } from "../constants/Colors";
+
+const PERIODS = {
+  day: { label: "Daily", count: 14, range: "last 14 days" },
+  week: { label: "Weekly", count: 12, range: "last 12 weeks" },
+};
+
+const AnalyticsScreen = () => {
+  const [period, setPeriod] = useState("day");
+  const [stats, setStats] = useState(null);
+  const [refreshing, setRefreshing] = useState(false);
+
+  const loadStats = useCallback(async () => {
+    setStats(await StatsCollector.getStats());
+  }, []);
+
+  useFocusEffect(
+    useCallback(() => {
+      loadStats();
+    }, [loadStats])
+  );
+
+  const onRefresh = useCallback(async () => {
+    setRefreshing(true);
+    await loadStats();
+    setRefreshing(false);
+  }, [loadStats]);
+
+  if (!stats) return <View style={styles.container} />;
+
+  const series = StatsCollector.getSeries(stats, period, PERIODS[period].count);
+  const summary = StatsCollector.summarize(series);
+  const { days, weeks } = StorageService.STATS_RETENTION;
+
+  return (
+    <ScrollView
+      style={styles.container}
+      refreshControl={<RefreshControl refreshing={refreshing} onRefresh={onRefresh} />}
+    >
+      <View style={styles.periodToggle}>
+        {Object.entries(PERIODS).map(([key, option]) => (
+          <TouchableOpacity
+            key={key}
+            style={[styles.periodButton, period === key && styles.periodButtonActive]}
+            onPress={() => setPeriod(key)}
+          >
+            <Text style={[styles.periodText, period === key && styles.periodTextActive]}>
+              {option.label}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      <View style={styles.card}>
+        <Text style={styles.cardTitle}>Spoilers blocked, {PERIODS[period].range}</Text>
+        <View style={styles.summaryRow}>
+          <SummaryItem value={summary.blocked} label="Blocked" />
+          <SummaryItem value={summary.scanned} label="Scanned" />
+          <SummaryItem value={summary.reveals} label="Revealed" />
+          <SummaryItem value={summary.falsePositives} label="Not spoilers" />
+        </View>
+        <BarChart
+          data={series.map(bucket => ({
+            key: bucket.key,
+            label: bucket.label,
+            value: bucket.blocked,
+            total: bucket.scanned,
+          }))}
+        />
+        <Text style={styles.legend}>Filled: blocked · Shaded: scanned</Text>
+      </View>
+
+      <View style={styles.card}>
+        <Text style={styles.cardTitle}>Which watchlist entries generate spoilers</Text>
+        {summary.entries.length === 0 ? (
+          <Text style={styles.emptyText}>No watchlist matches in this period.</Text>
+        ) : (
+          summary.entries.slice(0, 10).map(entry => (
+            <BreakdownRow
+              key={entry.id}
+              title={entry.name}
+              value={entry.blocked || 0}
+              max={summary.entries[0].blocked || 1}
+              detail={`${entry.matched || 0} matches · ${entry.reveals || 0} revealed · ${
+                entry.falsePositives || 0
+              } not spoilers`}
+            />
+          ))
+        )}
+      </View>
+
+      <View style={styles.card}>
+        <Text style={styles.cardTitle}>By platform</Text>
+        {summary.platforms.length === 0 ? (
+          <Text style={styles.emptyText}>Nothing scanned in this period.</Text>
+        ) : (
+          summary.platforms.map(platform => (
+            <BreakdownRow
+              key={platform.id}
+              title={platform.id}
+              value={platform.blocked || 0}
+              max={Math.max(1, ...summary.platforms.map(item => item.blocked || 0))}
+              detail={`${platform.scanned || 0} scanned · ${platform.reveals || 0} revealed · ${
+                platform.falsePositives || 0
+              } not spoilers`}
+            />
+          ))
+        )}
+      </View>
+
+      <Text style={styles.retentionText}>
+        Daily history is kept for {days} days and weekly history for {weeks} weeks.
+      </Text>
+    </ScrollView>
+  );
+};
+
+const SummaryItem = ({ value, label }) => (
+  <View style={styles.summaryItem}>
+    <Text style={styles.summaryNumber}>{value}</Text>
+    <Text style={styles.summaryLabel}>{label}</Text>
+  </View>
+);
+
+const BreakdownRow = ({ title, value, max, detail }) => (
+  <View style={styles.breakdownRow}>
+    <View style={styles.breakdownHeader}>
+      <Text style={styles.breakdownTitle} numberOfLines={1}>{title}</Text>
+      <Text style={styles.breakdownValue}>{value} blocked</Text>
+    </View>
+    <View style={styles.breakdownTrack}>
+      <View style={[styles.breakdownFill, { width: `${(value / max) * 100}%` }]} />
+    </View>
+    <Text style={styles.breakdownDetail}>{detail}</Text>
+  </View>
+);
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: BrandColors.background,
+  },
+  periodToggle: {
+    flexDirection: "row",
+    margin: 16,
+    marginBottom: 8,
+    borderRadius: 8,
+    overflow: "hidden",
+    borderWidth: 1,
+    borderColor: BrandColors.border,
+  },
+  periodButton: {
+    flex: 1,
+    paddingVertical: 10,
+    alignItems: "center",
+  },
+  periodButtonActive: {
+    backgroundColor: BrandColors.primary,
+  },
+  periodText: {
+    fontSize: 14,
+    fontWeight: "600",
+    color: BrandColors.textSecondary,
+  },
+  periodTextActive: {
+    color: "white",
+  },
+  card: {
+    backgroundColor: BrandColors.cardBackground,
+    margin: 16,
+    marginVertical: 8,
+    padding: 20,
+    borderRadius: 12,
+  },
+  cardTitle: {
+    fontSize: 16,
+    fontWeight: "600",
+    color: BrandColors.textPrimary,
+    marginBottom: 16,
+  },
+  summaryRow: {
+    flexDirection: "row",
+    justifyContent: "space-around",
+    marginBottom: 20,
+  },
+  summaryItem: {
+    alignItems: "center",
+  },
+  summaryNumber: {
+    fontSize: 22,
+    fontWeight: "bold",
+    color: BrandColors.primary,
+  },
+  summaryLabel: {
+    fontSize: 12,
+    color: BrandColors.textSecondary,
+    marginTop: 4,
+  },
+  legend: {
+    fontSize: 12,
+    color: BrandColors.textMuted,
+    textAlign: "center",
+    marginTop: 8,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: BrandColors.textMuted,
+  },
+  breakdownRow: {
+    marginBottom: 14,
+  },
+  breakdownHeader: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    marginBottom: 6,
+  },
+  breakdownTitle: {
+    flex: 1,
+    fontSize: 14,
+    fontWeight: "500",
+    color: BrandColors.textPrimary,
+  },
+  breakdownValue: {
+    fontSize: 14,
+    color: BrandColors.textSecondary,
+    marginLeft: 8,
+  },
+  breakdownTrack: {
+    height: 6,
+    borderRadius: 3,
+    overflow: "hidden",
+    backgroundColor: BrandColors.overlayBackground,
+  },
+  breakdownFill: {
+    height: "100%",
+    backgroundColor: BrandColors.primary,
+  },
+  breakdownDetail: {
+    fontSize: 12,
+    color: BrandColors.textMuted,
+    marginTop: 4,
+  },
+  retentionText: {
+    fontSize: 12,
+    color: BrandColors.textMuted,
+    textAlign: "center",
+    marginVertical: 20,
+    paddingHorizontal: 20,
+  },
+});
+
+export default AnalyticsScreen;
@@ -14,8 +14,13 @@ import {
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import ProtectedRedditFeed from '../components/ProtectedRedditFeed';
+import SpoilerOverlay from '../components/SpoilerOverlay';
 import RedditAPI from '../services/RedditAPI';
 import PlatformManager from '../services/PlatformManager';
+import StatsCollector from '../services/StatsCollector';
+import FeedbackService from '../services/FeedbackService';
+import { explainResult } from '../services/DetectionPipeline';
+import { getItemText } from '../utils/helpers';
 import { BrandColors } from '../constants/Colors';
 
 const BrowserScreen = () => {
@@ -31,6 +36,9 @@ const BrowserScreen = () => {
   const [unifiedFeed, setUnifiedFeed] = useState([]);
   const [loading, setLoading] = useState(false);
   const [platformOptions, setPlatformOptions] = useState({});
+  const [revealedItems, setRevealedItems] = useState({});
+  const [timeShiftRevealed, setTimeShiftRevealed] = useState({});
+  const [hiddenItems, setHiddenItems] = useState({});
 
   const sortOptions = [
     { key: 'hot', label: 'Hot', icon: 'flame' },
@@ -158,6 +166,9 @@ const BrowserScreen = () => {
       
       const result = await PlatformManager.getUnifiedFeed(options);
       setUnifiedFeed(result.feed);
+      setRevealedItems({});
+      setTimeShiftRevealed({});
+      setHiddenItems({});
     } catch (error) {
       console.error('Failed to load unified feed:', error);
       Alert.alert('Error', 'Failed to load unified feed');
@@ -166,6 +177,88 @@ const BrowserScreen = () => {
     }
   };
 
+  const getItemKey = (item) => `${item.platform}-${item.id}`;
+
+  const recordFeedback = (action, item) => {
+    FeedbackService.record(action, { text: getItemText(item), result: item.spoilerAnalysis })
+      .catch(error => console.error('Failed to record feedback:', error));
+  };
+
+  const revealItem = (item) => {
+    StatsCollector.recordReveal(item.spoilerAnalysis);
+    recordFeedback('reveal', item);
+    setRevealedItems(prev => ({ ...prev, [getItemKey(item)]: true }));
+  };
+
+  const hideItem = (item) => {
+    recordFeedback('keep_hidden', item);
+    setHiddenItems(prev => ({ ...prev, [getItemKey(item)]: true }));
+  };
+
+  const reportFalsePositive = (item) => {
+    StatsCollector.recordFalsePositive(item.spoilerAnalysis);
+    recordFeedback('not_spoiler', item);
+    setRevealedItems(prev => ({ ...prev, [getItemKey(item)]: true }));
+  };
+
+  const renderUnifiedItemContent = (item) => {
+    const key = getItemKey(item);
+
+    // Uncovering a delayed-viewing mask still leaves the detection overlay
+    if (item.timeShift && !timeShiftRevealed[key]) {
+      return (
+        <TouchableOpacity
+          style={styles.timeShiftMask}
+          onPress={() => setTimeShiftRevealed(prev => ({ ...prev, [key]: true }))}
+        >
+          <Ionicons name="time-outline" size={18} color={BrandColors.textSecondary} />
+          <Text style={styles.timeShiftMaskText}>
+            Posted after you started watching {item.timeShift.eventTitle || item.timeShift.entryName} on delay. Tap to reveal.
+          </Text>
+        </TouchableOpacity>
+      );
+    }
+
+    if (item.isProtected && hiddenItems[key]) {
+      return (
+        <View style={styles.timeShiftMask}>
+          <Ionicons name="eye-off-outline" size={18} color={BrandColors.textSecondary} />
+          <Text style={styles.timeShiftMaskText}>Kept hidden</Text>
+        </View>
+      );
+    }
+
+    if (item.isProtected && !revealedItems[key]) {
+      return (
+        <View style={styles.spoilerContainer}>
+          <SpoilerOverlay
+            visible={true}
+            matchedTerms={item.spoilerAnalysis.matchedTerms}
+            confidence={item.spoilerAnalysis.confidence}
+            level={item.spoilerAnalysis.level}
+            calibrated={item.spoilerAnalysis.calibration}
+            explanations={explainResult(item.spoilerAnalysis)}
+            onReveal={() => revealItem(item)}
+            onKeepHidden={() => hideItem(item)}
+            onReportFalsePositive={() => reportFalsePositive(item)}
+            reason={item.spoilerAnalysis.signals.find(signal => signal.kind === 'explicit')?.label}
+          />
+        </View>
+      );
+    }
+
+    return (
+      <>
+        <Text style={styles.feedItemTitle} numberOfLines={2}>
+          {item.title || item.text || item.message || 'No title'}
+        </Text>
+        <Text style={styles.feedItemDescription} numberOfLines={3}>
+          {item.description || item.selfText || item.caption || ''}
+        </Text>
+      </>
+    );
+  };
+
   const renderPlatformPicker = () => (
     <Modal
       visible={showPlatformPicker}
@@ -269,12 +362,7 @@ const BrowserScreen = () => {
                       {new Date(item.created || item.published).toLocaleDateString()}
                     </Text>
                   </View>
-                  <Text style={styles.feedItemTitle} numberOfLines={2}>
-                    {item.title || item.text || item.message || 'No title'}
-                  </Text>
-                  <Text style={styles.feedItemDescription} numberOfLines={3}>
-                    {item.description || item.selfText || item.caption || ''}
-                  </Text>
+                  {renderUnifiedItemContent(item)}
                 </View>
               )}
               refreshing={loading}
@@ -606,6 +694,25 @@ const styles = StyleSheet.create({
     color: BrandColors.textSecondary,
     lineHeight: 20,
   },
+  spoilerContainer: {
+    position: 'relative',
+    minHeight: 320,
+    borderRadius: 8,
+    overflow: 'hidden',
+  },
+  timeShiftMask: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: BrandColors.overlayBackground,
+    padding: 12,
+    borderRadius: 8,
+  },
+  timeShiftMaskText: {
+    flex: 1,
+    fontSize: 13,
+    color: BrandColors.textSecondary,
+    marginLeft: 8,
+  },
   platformNotSupported: {
     flex: 1,
     justifyContent: 'center',
@@ -12,6 +12,10 @@ import { Ionicons } from "@expo/vector-icons";
 import { useFocusEffect } from "@react-navigation/native";
 import StorageService from "../services/StorageService";
 import SpoilerDetector from "../services/SpoilerDetector";
+import MLEngine from "../services/MLEngine";
+import TimeShiftService from "../services/TimeShiftService";
+import StatsCollector from "../services/StatsCollector";
+import TimeShiftModal from "../components/TimeShiftModal";
 import { BrandColors } from "../constants/Colors";
 
 const HomeScreen = ({ navigation }) => {
@@ -21,17 +25,23 @@ const HomeScreen = ({ navigation }) => {
     lastScanDate: new Date().toISOString(),
   });
   const [watchlistCount, setWatchlistCount] = useState(0);
+  const [watchlist, setWatchlist] = useState([]);
+  const [timeShiftSessions, setTimeShiftSessions] = useState([]);
+  const [showTimeShiftModal, setShowTimeShiftModal] = useState(false);
   const [isEnabled, setIsEnabled] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
 
   const loadData = useCallback(async () => {
-    const [currentStats, watchlist] = await Promise.all([
-      StorageService.getStats(),
+    const [currentStats, currentWatchlist, sessions] = await Promise.all([
+      StatsCollector.getStats(),
       StorageService.getWatchlist(),
+      TimeShiftService.getSessions(),
     ]);
 
     setStats(currentStats);
-    setWatchlistCount(watchlist.length);
+    setWatchlistCount(currentWatchlist.length);
+    setWatchlist(currentWatchlist);
+    setTimeShiftSessions(sessions);
   }, []);
 
   // Refresh data when screen comes into focus
@@ -88,6 +98,33 @@ const HomeScreen = ({ navigation }) => {
     }
   };
 
+  const startTimeShift = async (options) => {
+    try {
+      await TimeShiftService.startSession(options);
+      setShowTimeShiftModal(false);
+      await loadData();
+    } catch (error) {
+      Alert.alert("Error", error.message);
+    }
+  };
+
+  const endTimeShift = (session) => {
+    Alert.alert(
+      "Caught Up?",
+      `Stop hiding posts about ${session.eventTitle || session.entryName}?`,
+      [
+        { text: "Not Yet", style: "cancel" },
+        {
+          text: "I've Caught Up",
+          onPress: async () => {
+            await TimeShiftService.endSession(session.id);
+            await loadData();
+          },
+        },
+      ]
+    );
+  };
+
   const testSpoilerDetection = async () => {
     const testTexts = [
       "Can't believe Hamilton won the F1 race today!",
@@ -98,7 +135,7 @@ const HomeScreen = ({ navigation }) => {
 
     let results = [];
     for (const text of testTexts) {
-      const result = await SpoilerDetector.analyzeText(text);
+      const result = await MLEngine.analyze(text, { source: "test" });
       results.push({ text, result });
     }
 
@@ -147,6 +184,42 @@ const HomeScreen = ({ navigation }) => {
         </TouchableOpacity>
       </View>
 
+      {/* Time-Shift Mode */}
+      <View style={styles.timeShiftCard}>
+        <Text style={styles.cardTitle}>⏱️ Time-Shift Mode</Text>
+        {timeShiftSessions.length === 0 ? (
+          <Text style={styles.timeShiftDescription}>
+            Watching on delay? Hide everything posted after the live start.
+          </Text>
+        ) : (
+          timeShiftSessions.map((session) => (
+            <View key={session.id} style={styles.timeShiftRow}>
+              <View style={styles.timeShiftInfo}>
+                <Text style={styles.timeShiftTitle}>
+                  {session.eventTitle || session.entryName}
+                </Text>
+                <Text style={styles.timeShiftMeta}>
+                  Live start {new Date(session.liveStart).toLocaleString()}
+                </Text>
+              </View>
+              <TouchableOpacity
+                style={styles.caughtUpButton}
+                onPress={() => endTimeShift(session)}
+              >
+                <Text style={styles.caughtUpButtonText}>I've caught up</Text>
+              </TouchableOpacity>
+            </View>
+          ))
+        )}
+        <TouchableOpacity
+          style={styles.setupButton}
+          onPress={() => setShowTimeShiftModal(true)}
+        >
+          <Ionicons name="time-outline" size={20} color="#007AFF" />
+          <Text style={styles.setupButtonText}>Watch on Delay</Text>
+        </TouchableOpacity>
+      </View>
+
       {/* Stats */}
       <View style={styles.statsCard}>
         <Text style={styles.cardTitle}>📊 Protection Stats</Text>
@@ -165,6 +238,13 @@ const HomeScreen = ({ navigation }) => {
             Last scan: {new Date(stats.lastScanDate).toLocaleString()}
           </Text>
         )}
+        <TouchableOpacity
+          style={styles.historyLink}
+          onPress={() => navigation.navigate("Settings", { screen: "Analytics" })}
+        >
+          <Text style={styles.historyLinkText}>View history</Text>
+          <Ionicons name="chevron-forward" size={14} color={BrandColors.primary} />
+        </TouchableOpacity>
       </View>
 
       {/* Watchlist Overview */}
@@ -235,6 +315,13 @@ const HomeScreen = ({ navigation }) => {
           or anything you want to avoid spoilers for.
         </Text>
       </View>
+
+      <TimeShiftModal
+        visible={showTimeShiftModal}
+        watchlist={watchlist}
+        onStart={startTimeShift}
+        onClose={() => setShowTimeShiftModal(false)}
+      />
     </ScrollView>
   );
 };
@@ -282,6 +369,52 @@ const styles = StyleSheet.create({
     fontWeight: "600",
     fontSize: 16,
   },
+  timeShiftCard: {
+    backgroundColor: BrandColors.cardBackground,
+    margin: 16,
+    marginVertical: 8,
+    padding: 20,
+    borderRadius: 12,
+    shadowColor: "#000",
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 3,
+  },
+  timeShiftDescription: {
+    fontSize: 14,
+    color: BrandColors.textSecondary,
+    marginBottom: 12,
+  },
+  timeShiftRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginBottom: 12,
+  },
+  timeShiftInfo: {
+    flex: 1,
+  },
+  timeShiftTitle: {
+    fontSize: 16,
+    fontWeight: "600",
+    color: BrandColors.textPrimary,
+  },
+  timeShiftMeta: {
+    fontSize: 12,
+    color: BrandColors.textMuted,
+    marginTop: 2,
+  },
+  caughtUpButton: {
+    backgroundColor: BrandColors.success,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 6,
+  },
+  caughtUpButtonText: {
+    color: "white",
+    fontWeight: "600",
+    fontSize: 12,
+  },
   statsCard: {
     backgroundColor: BrandColors.cardBackground,
     margin: 16,
@@ -324,6 +457,18 @@ const styles = StyleSheet.create({
     textAlign: "center",
     fontStyle: "italic",
   },
+  historyLink: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "center",
+    marginTop: 12,
+  },
+  historyLinkText: {
+    fontSize: 14,
+    fontWeight: "600",
+    color: BrandColors.primary,
+    marginRight: 4,
+  },
   watchlistCard: {
     backgroundColor: BrandColors.cardBackground,
     margin: 16,
@@ -7,11 +7,21 @@ import {
   ScrollView,
   Switch,
   Alert,
+  Share,
 } from "react-native";
 import { Ionicons } from "@expo/vector-icons";
 import StorageService from "../services/StorageService";
-import SpoilerDetector from "../services/SpoilerDetector";
 import PlatformManager from "../services/PlatformManager";
+import MLEngine from "../services/MLEngine";
+import ReleaseCalendar from "../services/ReleaseCalendar";
+import AnalysisCache from "../services/AnalysisCache";
+import StatsCollector from "../services/StatsCollector";
+import FeedbackService from "../services/FeedbackService";
+import SafePhrasesModal from "../components/SafePhrasesModal";
+import WatchlistImportModal from "../components/WatchlistImportModal";
+import AllowlistModal from "../components/AllowlistModal";
+import DetectionRules from "../services/DetectionRules";
+import { explainResult } from "../services/DetectionPipeline";
 import { BrandColors } from "../constants/Colors";
 
 const SettingsScreen = ({ navigation }) => {
@@ -20,26 +30,38 @@ const SettingsScreen = ({ navigation }) => {
     sensitivityLevel: "medium",
     showConfidence: true,
     autoBlock: true,
+    dangerWindow: "standard",
+    safePhrases: [],
+    allowlist: [],
+    foldAccents: true,
+    sentenceMasking: false,
   });
+  const [showSafePhrases, setShowSafePhrases] = useState(false);
+  const [showImport, setShowImport] = useState(false);
+  const [allowlistEntries, setAllowlistEntries] = useState(null);
   const [stats, setStats] = useState({
     spoilersBlocked: 0,
     postsScanned: 0,
   });
   const [platformStats, setPlatformStats] = useState({});
+  const [cacheStats, setCacheStats] = useState(null);
+  const [feedbackCount, setFeedbackCount] = useState(0);
 
   useEffect(() => {
     loadSettings();
     loadStats();
     loadPlatformStats();
+    loadCacheStats();
+    loadFeedbackCount();
   }, []);
 
   const loadSettings = async () => {
-    // Settings will be expanded later
-    // For now, using default values
+    const stored = await StorageService.getSettings();
+    setSettings((prev) => ({ ...prev, ...stored }));
   };
 
   const loadStats = async () => {
-    const currentStats = await StorageService.getStats();
+    const currentStats = await StatsCollector.getStats();
     setStats(currentStats);
   };
 
@@ -52,6 +74,77 @@ const SettingsScreen = ({ navigation }) => {
     }
   };
 
+  const loadCacheStats = async () => {
+    try {
+      const current = await AnalysisCache.getStats();
+      setCacheStats(current);
+      return current;
+    } catch (error) {
+      console.error('Failed to load cache stats:', error);
+      return null;
+    }
+  };
+
+  const loadFeedbackCount = async () => {
+    const examples = await FeedbackService.getExamples();
+    setFeedbackCount(examples.length);
+    return examples.length;
+  };
+
+  const manageFeedback = async () => {
+    const count = await loadFeedbackCount();
+    Alert.alert(
+      "Learning From Feedback",
+      `${count} labeled ${count === 1 ? "example" : "examples"} from posts you revealed, kept hidden or reported. They train an on-device model that adjusts detection for you.`,
+      [
+        { text: "Close", style: "cancel" },
+        { text: "Export Training Data", onPress: exportTrainingData },
+        {
+          text: "Reset Learning",
+          style: "destructive",
+          onPress: async () => {
+            await FeedbackService.reset();
+            await loadFeedbackCount();
+            Alert.alert("Success", "Learned preferences have been reset");
+          },
+        },
+      ]
+    );
+  };
+
+  const exportTrainingData = async () => {
+    try {
+      await Share.share({
+        title: "Spoiler Shield training data",
+        message: await FeedbackService.exportTrainingData(),
+      });
+    } catch (error) {
+      console.error('Failed to export training data:', error);
+      Alert.alert("Error", "Could not export training data");
+    }
+  };
+
+  const showCacheStats = (stats) => {
+    const current = stats || cacheStats || { entries: 0, hits: 0, misses: 0, hitRate: 0 };
+    Alert.alert(
+      "Analysis Cache",
+      `Cached results: ${current.entries}\nHits: ${current.hits}\nMisses: ${
+        current.misses
+      }\nHit rate: ${Math.round(current.hitRate * 100)}%`,
+      [
+        { text: "OK" },
+        {
+          text: "Clear Cache",
+          style: "destructive",
+          onPress: async () => {
+            await AnalysisCache.clear();
+            await loadCacheStats();
+          },
+        },
+      ]
+    );
+  };
+
   const toggleSetting = (key) => {
     setSettings((prev) => ({
       ...prev,
@@ -70,13 +163,14 @@ const SettingsScreen = ({ navigation }) => {
           style: "destructive",
           onPress: async () => {
             await StorageService.saveWatchlist([]);
-            await StorageService.updateStats({
-              spoilersBlocked: -stats.spoilersBlocked,
-              postsScanned: -stats.postsScanned,
-            });
+            await StatsCollector.reset();
             // Reset platform stats
             PlatformManager.resetAllStats();
+            await AnalysisCache.clear();
+            await FeedbackService.reset();
             await loadStats();
+            await loadFeedbackCount();
+            await loadCacheStats();
             await loadPlatformStats();
             Alert.alert("Success", "All data has been cleared");
           },
@@ -85,23 +179,100 @@ const SettingsScreen = ({ navigation }) => {
     );
   };
 
+  const chooseDangerWindow = () => {
+    const presets = ReleaseCalendar.WINDOW_PRESETS;
+    Alert.alert(
+      "Release Danger Window",
+      "How long around air dates and race starts should protection be stricter?",
+      [
+        ...Object.entries(presets).map(([key, preset]) => ({
+          text: `${preset.label} (${preset.hoursBefore}h before, ${preset.decayDays}d after)`,
+          onPress: async () => {
+            await StorageService.updateSettings({ dangerWindow: key });
+            MLEngine.updateConfig({ dangerWindow: key });
+            setSettings((prev) => ({ ...prev, dangerWindow: key }));
+          },
+        })),
+        { text: "Cancel", style: "cancel" },
+      ]
+    );
+  };
+
+  const toggleFoldAccents = async () => {
+    const foldAccents = !settings.foldAccents;
+    await StorageService.updateSettings({ foldAccents });
+    MLEngine.updateConfig({ foldAccents });
+    setSettings((prev) => ({ ...prev, foldAccents }));
+  };
+
+  const toggleSentenceMasking = async () => {
+    const sentenceMasking = !settings.sentenceMasking;
+    await StorageService.updateSettings({ sentenceMasking });
+    setSettings((prev) => ({ ...prev, sentenceMasking }));
+  };
+
+  const saveSafePhrases = async (safePhrases) => {
+    await StorageService.updateSettings({ safePhrases });
+    MLEngine.updateConfig({ safePhrases });
+    setSettings((prev) => ({ ...prev, safePhrases }));
+    setShowSafePhrases(false);
+  };
+
+  const openAllowlist = async () => {
+    setAllowlistEntries(await StorageService.getWatchlist());
+  };
+
+  const saveAllowlist = async (allowlist, entryAllowlists) => {
+    await StorageService.updateSettings({ allowlist });
+    MLEngine.updateConfig({ allowlist });
+    for (const [id, items] of Object.entries(entryAllowlists)) {
+      await StorageService.updateWatchlistEntry(id, { allowlist: items });
+    }
+    setSettings((prev) => ({ ...prev, allowlist }));
+    setAllowlistEntries(null);
+  };
+
+  const importReleaseCalendar = async () => {
+    const result = await StorageService.importReleaseCalendar();
+    Alert.alert(
+      "Release Calendar",
+      result.matchedEntries === 0
+        ? "None of your watchlist entries are in the bundled calendar yet."
+        : `Added ${result.addedEvents} events to ${result.matchedEntries} watchlist ${
+            result.matchedEntries === 1 ? "entry" : "entries"
+          }.`
+    );
+  };
+
   const exportWatchlist = async () => {
-    const watchlist = await StorageService.getWatchlist();
-    const exportText = watchlist.join("\n");
-
-    Alert.alert("Export Watchlist", `Your watchlist:\n\n${exportText}`, [
-      { text: "Close" },
-      {
-        text: "Copy",
-        onPress: () => {
-          // In a real app, you'd use Clipboard API
-          Alert.alert(
-            "Note",
-            "Copy functionality would be implemented with @react-native-clipboard/clipboard"
-          );
-        },
-      },
-    ]);
+    try {
+      await Share.share({
+        title: "Spoiler Shield watchlist",
+        message: await StorageService.exportWatchlist(),
+      });
+    } catch (error) {
+      console.error('Failed to export watchlist:', error);
+      Alert.alert("Error", "Could not export watchlist");
+    }
+  };
+
+  const importWatchlist = async (text) => {
+    try {
+      const { added, updated, invalidRules } = await StorageService.importWatchlist(text);
+      setShowImport(false);
+
+      const skipped = invalidRules
+        .map(({ name, expression, error }) => `${name}: ${expression}\n${DetectionRules.formatError(error)}`)
+        .join("\n\n");
+      Alert.alert(
+        "Import Watchlist",
+        `Added ${added} ${added === 1 ? "entry" : "entries"}, updated rules on ${updated}.` +
+          (skipped ? `\n\nSkipped rules with errors:\n\n${skipped}` : "")
+      );
+    } catch (error) {
+      console.error('Failed to import watchlist:', error);
+      Alert.alert("Error", "That doesn't look like an exported watchlist");
+    }
   };
 
   const resetStats = () => {
@@ -114,10 +285,7 @@ const SettingsScreen = ({ navigation }) => {
           text: "Reset",
           style: "destructive",
           onPress: async () => {
-            await StorageService.updateStats({
-              spoilersBlocked: -stats.spoilersBlocked,
-              postsScanned: -stats.postsScanned,
-            });
+            await StatsCollector.reset();
             PlatformManager.resetAllStats();
             await loadStats();
             await loadPlatformStats();
@@ -173,6 +341,13 @@ const SettingsScreen = ({ navigation }) => {
             <Text style={styles.statLabel}>API Requests</Text>
           </View>
         </View>
+
+        <SettingRow
+          title="Protection Analytics"
+          subtitle="Daily and weekly history by show, sport and platform"
+          icon="bar-chart-outline"
+          onPress={() => navigation.navigate("Analytics")}
+        />
       </View>
 
       {/* Platform Settings Section */}
@@ -221,6 +396,15 @@ const SettingsScreen = ({ navigation }) => {
           onSwitchToggle={() => toggleSetting("autoBlock")}
         />
 
+        <SettingRow
+          title="Hide Only Spoiler Sentences"
+          subtitle="Cover just the sentences that give something away in feed posts"
+          icon="eye-off-outline"
+          hasSwitch={true}
+          switchValue={settings.sentenceMasking}
+          onSwitchToggle={toggleSentenceMasking}
+        />
+
         <SettingRow
           title="Show Confidence Score"
           subtitle="Display detection confidence levels"
@@ -229,6 +413,45 @@ const SettingsScreen = ({ navigation }) => {
           switchValue={settings.showConfidence}
           onSwitchToggle={() => toggleSetting("showConfidence")}
         />
+
+        <SettingRow
+          title="Release Danger Window"
+          subtitle={`${
+            ReleaseCalendar.WINDOW_PRESETS[settings.dangerWindow]?.label || "Standard"
+          } - stricter around air dates and race starts`}
+          icon="calendar-outline"
+          onPress={chooseDangerWindow}
+        />
+
+        <SettingRow
+          title="Learn From Feedback"
+          subtitle={`${feedbackCount} ${feedbackCount === 1 ? "example" : "examples"} - export or reset what the app has learned`}
+          icon="school-outline"
+          onPress={manageFeedback}
+        />
+
+        <SettingRow
+          title="Ignore Accents"
+          subtitle='Match "Pérez" when a post says "Perez"'
+          icon="language-outline"
+          hasSwitch={true}
+          switchValue={settings.foldAccents}
+          onSwitchToggle={toggleFoldAccents}
+        />
+
+        <SettingRow
+          title="Safe Phrases"
+          subtitle={`${settings.safePhrases.length} custom - lower the score for spoiler-free posts`}
+          icon="checkmark-done-outline"
+          onPress={() => setShowSafePhrases(true)}
+        />
+
+        <SettingRow
+          title="Allowlist"
+          subtitle={`${settings.allowlist.length} global - phrases like "Netflix stock" that never count as a match`}
+          icon="shield-checkmark-outline"
+          onPress={openAllowlist}
+        />
       </View>
 
       {/* Data Management */}
@@ -237,11 +460,25 @@ const SettingsScreen = ({ navigation }) => {
 
         <SettingRow
           title="Export Watchlist"
-          subtitle="Save your spoiler terms"
+          subtitle="Share your entries, including detection rules"
           icon="download-outline"
           onPress={exportWatchlist}
         />
 
+        <SettingRow
+          title="Import Watchlist"
+          subtitle="Add entries and rules from an export"
+          icon="push-outline"
+          onPress={() => setShowImport(true)}
+        />
+
+        <SettingRow
+          title="Import Release Calendar"
+          subtitle="Add bundled air dates and event times to your watchlist"
+          icon="calendar-number-outline"
+          onPress={importReleaseCalendar}
+        />
+
         <SettingRow
           title="Reset Statistics"
           subtitle="Clear all usage statistics"
@@ -266,8 +503,9 @@ const SettingsScreen = ({ navigation }) => {
           subtitle="Run detection tests with sample content"
           icon="code-outline"
           onPress={async () => {
-            const testResults = await SpoilerDetector.analyzeText(
-              "Formula 1 race results: Hamilton wins! Marvel's new movie spoiler: Iron Man returns!"
+            const testResults = await MLEngine.analyze(
+              "Formula 1 race results: Hamilton wins! Marvel's new movie spoiler: Iron Man returns!",
+              { source: "test" }
             );
             Alert.alert(
               "Detection Test Results",
@@ -275,7 +513,9 @@ const SettingsScreen = ({ navigation }) => {
                 testResults.hasSpoiler
               }\nConfidence: ${Math.round(
                 testResults.confidence * 100
-              )}%\nMatched terms: ${testResults.matchedTerms.join(", ")}`,
+              )}%\nMatched terms: ${testResults.matchedTerms.join(", ")}${explainResult(testResults)
+                .map((line) => `\n• ${line.text}`)
+                .join("")}`,
               [{ text: "OK" }]
             );
           }}
@@ -309,6 +549,19 @@ const SettingsScreen = ({ navigation }) => {
           }}
         />
 
+        <SettingRow
+          title="Analysis Cache"
+          subtitle={
+            cacheStats
+              ? `${Math.round(cacheStats.hitRate * 100)}% hit rate · ${cacheStats.entries} cached results`
+              : "Loading..."
+          }
+          icon="flash-outline"
+          onPress={async () => {
+            showCacheStats(await loadCacheStats());
+          }}
+        />
+
         <View style={styles.versionInfo}>
           <Text style={styles.versionText}>Spoiler Shield v1.0.0</Text>
           <Text style={styles.versionSubtext}>
@@ -319,6 +572,27 @@ const SettingsScreen = ({ navigation }) => {
           </Text>
         </View>
       </View>
+
+      <SafePhrasesModal
+        visible={showSafePhrases}
+        phrases={settings.safePhrases}
+        onSave={saveSafePhrases}
+        onClose={() => setShowSafePhrases(false)}
+      />
+
+      <AllowlistModal
+        visible={!!allowlistEntries}
+        items={settings.allowlist}
+        entries={allowlistEntries || []}
+        onSave={saveAllowlist}
+        onClose={() => setAllowlistEntries(null)}
+      />
+
+      <WatchlistImportModal
+        visible={showImport}
+        onImport={importWatchlist}
+        onClose={() => setShowImport(false)}
+      />
     </ScrollView>
   );
 };
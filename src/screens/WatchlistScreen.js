@@ -14,6 +14,9 @@ import {
 import { Ionicons } from '@expo/vector-icons';
 import StorageService from '../services/StorageService';
 import SpoilerDetector from '../services/SpoilerDetector';
+import WatchlistItem from '../components/WatchlistItem';
+import WatchlistEntryEditor from '../components/WatchlistEntryEditor';
+import { WATCHLIST_CATEGORIES, CATEGORY_INFO } from '../utils/constants';
 import { BrandColors } from '../constants/Colors';
 
 const WatchlistScreen = () => {
@@ -21,6 +24,8 @@ const WatchlistScreen = () => {
   const [inputText, setInputText] = useState('');
   const [refreshing, setRefreshing] = useState(false);
   const [searchQuery, setSearchQuery] = useState('');
+  const [newCategory, setNewCategory] = useState(WATCHLIST_CATEGORIES.GENERAL);
+  const [editingEntry, setEditingEntry] = useState(null);
 
   const loadWatchlist = useCallback(async () => {
     const list = await StorageService.getWatchlist();
@@ -44,9 +49,10 @@ const WatchlistScreen = () => {
       return;
     }
 
-    const success = await StorageService.addToWatchlist(term);
+    const success = await StorageService.addToWatchlist({ name: term, category: newCategory });
     if (success) {
       setInputText('');
+      setNewCategory(WATCHLIST_CATEGORIES.GENERAL);
       await loadWatchlist();
       Alert.alert('Success!', `Added "${term}" to your watchlist`);
     } else {
@@ -54,17 +60,17 @@ const WatchlistScreen = () => {
     }
   };
 
-  const removeItem = (term) => {
+  const removeItem = (entry) => {
     Alert.alert(
       'Remove Item',
-      `Remove "${term}" from your watchlist?`,
+      `Remove "${entry.name}" from your watchlist?`,
       [
         { text: 'Cancel', style: 'cancel' },
         {
           text: 'Remove',
           style: 'destructive',
           onPress: async () => {
-            await StorageService.removeFromWatchlist(term);
+            await StorageService.removeFromWatchlist(entry.id);
             await loadWatchlist();
           },
         },
@@ -72,6 +78,21 @@ const WatchlistScreen = () => {
     );
   };
 
+  const saveEntry = async (updates) => {
+    const duplicate = watchlist.find(item =>
+      item.id !== editingEntry.id &&
+      item.name.toLowerCase() === updates.name.toLowerCase()
+    );
+    if (duplicate) {
+      Alert.alert('Already Exists', `"${updates.name}" is already in your watchlist`);
+      return;
+    }
+
+    await StorageService.updateWatchlistEntry(editingEntry.id, updates);
+    setEditingEntry(null);
+    await loadWatchlist();
+  };
+
   const addDefaultTerms = () => {
     Alert.alert(
       'Add Default Terms',
@@ -116,23 +137,20 @@ const WatchlistScreen = () => {
     );
   };
 
-  const filteredWatchlist = watchlist.filter(term =>
-    term.toLowerCase().includes(searchQuery.toLowerCase())
-  );
+  const filteredWatchlist = watchlist.filter(entry => {
+    const query = searchQuery.toLowerCase();
+    return entry.name.toLowerCase().includes(query) ||
+      entry.aliases.some(alias => alias.toLowerCase().includes(query)) ||
+      Object.values(entry.localizedAliases || {}).flat().some(alias => alias.toLowerCase().includes(query));
+  });
 
   const renderWatchlistItem = ({ item, index }) => (
-    <View style={styles.listItem}>
-      <View style={styles.itemContent}>
-        <Text style={styles.itemText}>{item}</Text>
-        <Text style={styles.itemIndex}>#{index + 1}</Text>
-      </View>
-      <TouchableOpacity
-        style={styles.removeButton}
-        onPress={() => removeItem(item)}
-      >
-        <Ionicons name="trash-outline" size={20} color="#FF5722" />
-      </TouchableOpacity>
-    </View>
+    <WatchlistItem
+      entry={item}
+      index={index}
+      onPress={setEditingEntry}
+      onRemove={removeItem}
+    />
   );
 
   const renderEmptyState = () => (
@@ -205,6 +223,38 @@ const WatchlistScreen = () => {
             ))}
           </View>
         </View>
+
+        {/* Category for new term */}
+        <View style={styles.suggestionsContainer}>
+          <Text style={styles.suggestionsTitle}>Category:</Text>
+          <View style={styles.suggestionsRow}>
+            {Object.values(WATCHLIST_CATEGORIES).map((category) => (
+              <TouchableOpacity
+                key={category}
+                style={[
+                  styles.categoryChip,
+                  newCategory === category && styles.categoryChipSelected,
+                ]}
+                onPress={() => setNewCategory(category)}
+              >
+                <Ionicons
+                  name={CATEGORY_INFO[category].icon}
+                  size={12}
+                  color={newCategory === category ? 'white' : '#007AFF'}
+                />
+                <Text
+                  style={[
+                    styles.suggestionText,
+                    styles.categoryChipText,
+                    newCategory === category && styles.categoryChipTextSelected,
+                  ]}
+                >
+                  {CATEGORY_INFO[category].label}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        </View>
       </View>
 
       {/* Search */}
@@ -224,7 +274,7 @@ const WatchlistScreen = () => {
       <FlatList
         data={filteredWatchlist}
         renderItem={renderWatchlistItem}
-        keyExtractor={(item, index) => `${item}-${index}`}
+        keyExtractor={(item) => item.id}
         style={styles.list}
         refreshControl={
           <RefreshControl refreshing={refreshing} onRefresh={onRefresh} />
@@ -232,6 +282,13 @@ const WatchlistScreen = () => {
         ListEmptyComponent={renderEmptyState}
         showsVerticalScrollIndicator={false}
       />
+
+      <WatchlistEntryEditor
+        visible={!!editingEntry}
+        entry={editingEntry}
+        onSave={saveEntry}
+        onClose={() => setEditingEntry(null)}
+      />
     </KeyboardAvoidingView>
   );
 };
@@ -318,6 +375,24 @@ const styles = StyleSheet.create({
     fontSize: 12,
     fontWeight: '500',
   },
+  categoryChip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#007AFF',
+  },
+  categoryChipSelected: {
+    backgroundColor: '#007AFF',
+  },
+  categoryChipText: {
+    marginLeft: 4,
+  },
+  categoryChipTextSelected: {
+    color: 'white',
+  },
   searchContainer: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -339,36 +414,6 @@ const styles = StyleSheet.create({
   list: {
     flex: 1,
   },
-  listItem: {
-    flexDirection: 'row',
-    alignItems: 'center',
-    backgroundColor: BrandColors.cardBackground,
-    marginHorizontal: 16,
-    marginVertical: 4,
-    padding: 16,
-    borderRadius: 8,
-    shadowColor: '#000',
-    shadowOffset: { width: 0, height: 1 },
-    shadowOpacity: 0.1,
-    shadowRadius: 2,
-    elevation: 2,
-  },
-  itemContent: {
-    flex: 1,
-  },
-  itemText: {
-    fontSize: 16,
-    fontWeight: '500',
-    color: BrandColors.textPrimary,
-  },
-  itemIndex: {
-    fontSize: 12,
-    color: BrandColors.textPrimary,
-    marginTop: 2,
-  },
-  removeButton: {
-    padding: 8,
-  },
   emptyState: {
     flex: 1,
     justifyContent: 'center',
@@ -0,0 +1,100 @@
+import Tokenizer from './Tokenizer';
+import TextNormalizer from './TextNormalizer';
+import DetectionRules from './DetectionRules';
+
+/**
+ * Allowlist
+ *
+ * Phrases and contexts that cancel a watchlist match outright, for generic
+ * names that mostly show up in harmless posts ("Netflix stock", "Marvel
+ * Snap"). A phrase cancels a match when it covers every place the entry was
+ * matched; a context (`subreddit:stocks`, `platform:youtube`, any rule
+ * field) cancels the entry's match wherever it holds. Unlike safe phrases,
+ * which only lower the score, an allowlisted match is dropped.
+ */
+class Allowlist {
+  /**
+   * Trim and de-duplicate. Items aren't split on commas: contexts such as
+   * `subreddit:stocks,investing` contain them.
+   */
+  static normalize(items) {
+    const list = typeof items === 'string' ? [items] : items;
+    if (!Array.isArray(list)) return [];
+
+    const seen = new Set();
+    return list
+      .map(item => (typeof item === 'string' ? item.trim() : ''))
+      .filter(item => {
+        const key = item.toLowerCase();
+        if (!item || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+  }
+
+  /**
+   * Whether an item is a context (`field:value`) rather than a phrase
+   */
+  static isContext(item) {
+    const field = item.match(/^(\w+):\S/)?.[1];
+    return !!field && DetectionRules.FIELDS.includes(field);
+  }
+
+  /**
+   * Compile items once, tagged with where they came from
+   * @param {string} scope - 'entry' or 'global'
+   */
+  static compile(items = [], scope) {
+    return items
+      .map(item => {
+        if (this.isContext(item)) {
+          const { ast } = DetectionRules.parse(item);
+          return ast && { item, scope, kind: 'context', ast };
+        }
+        const compiled = Tokenizer.compileTerm(item);
+        return compiled.tokens.length > 0 && { item, scope, kind: 'phrase', compiled };
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * The first allowlist item that cancels a match, or null
+   * @param {Object} match - with spans in the original text
+   * @param {Array} compiled - from compile()
+   * @param {Object} env - rule environment (text, normalized, prepared,
+   *   platform, field, item)
+   */
+  static findSuppressor(match, compiled, env) {
+    const spans = match.spans || [];
+
+    for (const allowed of compiled) {
+      if (allowed.kind === 'context') {
+        if (DetectionRules.evaluate(allowed.ast, env)) return { ...this.describe(allowed), text: null };
+        continue;
+      }
+
+      const occurrences = Tokenizer.findPhrase(env.prepared, allowed.compiled)
+        .map(({ start, end }) => TextNormalizer.toOriginalRange(env.normalized, start, end));
+      if (occurrences.length === 0) continue;
+
+      // Every matched span has to sit inside the phrase: "Netflix stock is
+      // down, Netflix finale leaked" still matches on the second mention.
+      // Matches without spans (metadata-only rules) can't be inside a phrase
+      const covered = spans.length > 0 && spans.every(span =>
+        occurrences.some(occurrence => occurrence.start <= span.start && span.end <= occurrence.end)
+      );
+      if (covered) {
+        const { start, end } = occurrences[0];
+        return { ...this.describe(allowed), text: env.text.slice(start, end) };
+      }
+    }
+
+    return null;
+  }
+
+  static describe({ item, scope, kind }) {
+    return { phrase: item, scope, kind };
+  }
+}
+
+export default Allowlist;
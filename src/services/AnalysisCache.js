@@ -0,0 +1,164 @@
+import StorageService from './StorageService';
+
+/**
+ * Analysis Cache
+ *
+ * Detection results keyed by a hash of the normalized content, so refreshes,
+ * pagination and crossposts don't re-run the pipeline. The whole cache is
+ * tied to a version string (watchlist + detection config): when the version
+ * changes every entry is dropped. Entries also expire after a TTL. Release
+ * windows move with the clock, so MLEngine doesn't store results for entries
+ * whose window is open or opens within the TTL.
+ */
+class AnalysisCache {
+  static MAX_ENTRIES = 500;
+  static TTL_MS = 60 * 60 * 1000; // 1 hour
+  static SAVE_DELAY_MS = 2000;
+
+  static state = null;
+  static loading = null;
+  static saveTimer = null;
+
+  static createState() {
+    return { version: null, entries: {}, hits: 0, misses: 0 };
+  }
+
+  /**
+   * 53-bit string hash (cyrb53), as a base-36 string
+   */
+  static hash(text) {
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+    for (let i = 0; i < text.length; i++) {
+      const ch = text.charCodeAt(i);
+      h1 = Math.imul(h1 ^ ch, 2654435761);
+      h2 = Math.imul(h2 ^ ch, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+  }
+
+  /**
+   * Cache key for text analyzed under a context type. Whitespace and
+   * Unicode forms are normalized; case is kept because acronyms are
+   * case-sensitive.
+   */
+  static getKey(text, type = '') {
+    const content = text.normalize('NFKC').replace(/\s+/g, ' ').trim();
+    return this.hash(`${type}\u0000${content}`);
+  }
+
+  static async load() {
+    if (this.state) return this.state;
+
+    if (!this.loading) {
+      this.loading = StorageService.getAnalysisCache().then(stored => {
+        this.state = { ...this.createState(), ...stored };
+        this.loading = null;
+        return this.state;
+      });
+    }
+    return this.loading;
+  }
+
+  /**
+   * Cached result for a key, or null. A different version drops the cache.
+   * Match spans are offsets into the exact text, so an entry stored for a
+   * differently spaced copy of the content doesn't count.
+   * @param {string} textHash - hash of the exact text being analyzed
+   */
+  static async get(key, version, textHash) {
+    try {
+      const state = await this.load();
+      if (state.version !== version) {
+        state.version = version;
+        state.entries = {};
+      }
+
+      const entry = state.entries[key];
+      if (entry && entry.textHash === textHash && Date.now() - entry.storedAt <= this.TTL_MS) {
+        entry.lastUsed = Date.now();
+        state.hits++;
+        this.scheduleSave();
+        return entry.result;
+      }
+
+      if (entry && entry.textHash === textHash) delete state.entries[key]; // Expired
+      state.misses++;
+      this.scheduleSave();
+      return null;
+    } catch (error) {
+      console.error('[AnalysisCache] Read failed:', error);
+      return null;
+    }
+  }
+
+  static async set(key, version, result, textHash) {
+    try {
+      const state = await this.load();
+      if (state.version !== version) return;
+
+      const now = Date.now();
+      state.entries[key] = { result, textHash, storedAt: now, lastUsed: now };
+      this.evict(state);
+      this.scheduleSave();
+    } catch (error) {
+      console.error('[AnalysisCache] Write failed:', error);
+    }
+  }
+
+  /**
+   * Drop the least recently used entries beyond MAX_ENTRIES
+   */
+  static evict(state) {
+    const keys = Object.keys(state.entries);
+    if (keys.length <= this.MAX_ENTRIES) return;
+
+    keys
+      .sort((a, b) => state.entries[a].lastUsed - state.entries[b].lastUsed)
+      .slice(0, keys.length - this.MAX_ENTRIES)
+      .forEach(key => delete state.entries[key]);
+  }
+
+  /**
+   * Persist at most once per SAVE_DELAY_MS instead of after every analysis
+   */
+  static scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.flush();
+    }, this.SAVE_DELAY_MS);
+  }
+
+  static async flush() {
+    if (!this.state) return false;
+    return await StorageService.saveAnalysisCache(this.state);
+  }
+
+  static async clear() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+    this.state = this.createState();
+    return await this.flush();
+  }
+
+  /**
+   * Entry count and hit rate, for the developer section
+   */
+  static async getStats() {
+    const state = await this.load();
+    const lookups = state.hits + state.misses;
+    return {
+      entries: Object.keys(state.entries).length,
+      hits: state.hits,
+      misses: state.misses,
+      hitRate: lookups > 0 ? state.hits / lookups : 0,
+    };
+  }
+}
+
+export default AnalysisCache;
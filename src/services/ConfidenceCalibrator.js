@@ -0,0 +1,113 @@
+/**
+ * Confidence Calibrator
+ *
+ * Maps the engine's raw scores (0.95 for an exact match, 0.7 fuzzy, ...) to
+ * the share of posts at that score the user actually treated as spoilers.
+ * Isotonic regression over the feedback history: scores are sorted and
+ * adjacent groups pooled until hit rates never decrease with the score.
+ * With little data each group is pulled back toward its raw score.
+ */
+class ConfidenceCalibrator {
+  static MIN_EXAMPLES = 20;
+  static PRIOR_WEIGHT = 5; // Pseudo-examples at the raw score in each group
+
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.points = [];
+    this.exampleCount = 0;
+    this.version = '0';
+  }
+
+  /**
+   * Fit on feedback examples [{ rawConfidence | confidence, label, weight }].
+   * Examples at score 0 ("missed spoiler" reports on posts nothing matched)
+   * are left to the classifier: calibrate() never maps 0, so in the fit they
+   * would only pool with real low scores and push them up.
+   */
+  fit(examples = []) {
+    this.reset();
+
+    const samples = examples
+      .filter(example => example.label === 'spoiler' || example.label === 'safe')
+      .map(example => ({
+        score: Math.round((example.rawConfidence ?? example.confidence ?? 0) * 100) / 100,
+        hit: example.label === 'spoiler' ? 1 : 0,
+        weight: example.weight ?? 1,
+      }))
+      .filter(sample => sample.score > 0)
+      .sort((a, b) => a.score - b.score);
+
+    this.exampleCount = samples.length;
+    const labels = new Set(samples.map(sample => sample.hit));
+    if (samples.length < ConfidenceCalibrator.MIN_EXAMPLES || labels.size < 2) return this;
+
+    // One starting group per distinct score, then pool adjacent violators
+    const groups = [];
+    for (const { score, hit, weight } of samples) {
+      const last = groups[groups.length - 1];
+      if (last && last.score === score) {
+        last.weight += weight;
+        last.hits += hit * weight;
+      } else {
+        groups.push({ score, weight, hits: hit * weight });
+      }
+    }
+
+    const blocks = [];
+    for (const { score, weight, hits } of groups) {
+      blocks.push({ weight, hits, scoreSum: score * weight });
+
+      while (blocks.length > 1) {
+        const last = blocks[blocks.length - 1];
+        const previous = blocks[blocks.length - 2];
+        if (previous.hits / previous.weight <= last.hits / last.weight) break;
+
+        blocks.pop();
+        previous.weight += last.weight;
+        previous.hits += last.hits;
+        previous.scoreSum += last.scoreSum;
+      }
+    }
+
+    const prior = ConfidenceCalibrator.PRIOR_WEIGHT;
+    let floor = 0;
+    this.points = blocks.map(block => {
+      const score = block.scoreSum / block.weight;
+      const rate = (block.hits + prior * score) / (block.weight + prior);
+      floor = Math.max(floor, rate); // The prior must not undo monotonicity
+      return { score, probability: floor };
+    });
+
+    this.version = `${samples.length}-${examples[examples.length - 1]?.id || ''}`;
+    return this;
+  }
+
+  isReady() {
+    return this.points.length > 0;
+  }
+
+  /**
+   * Calibrated probability for a raw score, interpolated between groups.
+   * Returns the raw score until there is enough feedback. Below the lowest
+   * group it interpolates from (0, 0): feedback mostly comes from posts that
+   * were already blocked, so that group's rate says nothing about weak scores.
+   */
+  calibrate(score) {
+    if (!this.isReady() || score <= 0) return score;
+
+    const { points } = this;
+    if (score <= points[0].score) return (score / points[0].score) * points[0].probability;
+    if (score >= points[points.length - 1].score) return points[points.length - 1].probability;
+
+    const upper = points.findIndex(point => point.score >= score);
+    const low = points[upper - 1];
+    const high = points[upper];
+    const position = (score - low.score) / (high.score - low.score);
+    return low.probability + position * (high.probability - low.probability);
+  }
+}
+
+export default ConfidenceCalibrator;
@@ -0,0 +1,151 @@
+import bundledPacks from '../data/cuePacks.json';
+import Tokenizer from './Tokenizer';
+
+/**
+ * Spoiler Cue Packs
+ *
+ * Words, patterns and emoji that signal a spoiler, grouped by domain: score
+ * lines and "takes pole" for sport, "killed off" and "mid-credits" for TV
+ * and film, 🏆 and 💀 everywhere. Each watchlist entry is checked against
+ * the packs for its category.
+ */
+class CuePacks {
+  static ALL_CATEGORIES = '*';
+
+  static packs = null;
+
+  /**
+   * Compile and register packs, replacing any with the same id
+   * @returns {number} number of packs loaded
+   */
+  static load(packs = []) {
+    const current = this.packs || [];
+    let loaded = 0;
+
+    for (const pack of packs) {
+      const compiled = this.compilePack(pack);
+      if (!compiled) continue;
+
+      const index = current.findIndex(existing => existing.id === compiled.id);
+      if (index === -1) {
+        current.push(compiled);
+      } else {
+        current[index] = compiled;
+      }
+      loaded++;
+    }
+
+    this.packs = current;
+    return loaded;
+  }
+
+  static getPacks() {
+    if (!this.packs) this.load(bundledPacks.packs);
+    return this.packs;
+  }
+
+  /**
+   * Validate a pack and compile its regex patterns
+   */
+  static compilePack(pack) {
+    if (!pack || !pack.id || !Array.isArray(pack.categories)) return null;
+
+    const keywords = (pack.keywords || []).flatMap(group =>
+      (group.terms || []).map(term => ({ term, weight: group.weight ?? 1.0 }))
+    );
+
+    const patterns = [];
+    for (const rule of pack.patterns || []) {
+      try {
+        patterns.push({
+          label: rule.label || 'pattern',
+          regex: new RegExp(rule.pattern, `${(rule.flags || '').replace('g', '')}g`),
+          weight: rule.weight ?? 1.0,
+        });
+      } catch (error) {
+        console.error(`[CuePacks] Invalid pattern in pack "${pack.id}":`, error);
+      }
+    }
+
+    const emoji = (pack.emoji || [])
+      .filter(rule => rule.emoji && rule.cue)
+      .map(rule => ({ emoji: rule.emoji, cue: rule.cue, weight: rule.weight ?? 1.0 }));
+
+    return {
+      id: pack.id,
+      label: pack.label || pack.id,
+      categories: pack.categories,
+      keywords,
+      patterns,
+      emoji,
+    };
+  }
+
+  static getPacksForCategory(category) {
+    return this.getPacks().filter(pack =>
+      pack.categories.includes(this.ALL_CATEGORIES) || pack.categories.includes(category)
+    );
+  }
+
+  /**
+   * Find every cue from the category's packs in prepared text
+   * @returns {Array<{text, label, pack, weight, start, end}>} offsets into the raw text
+   */
+  static findCues(prepared, category) {
+    const cues = [];
+
+    for (const pack of this.getPacksForCategory(category)) {
+      for (const { term, weight } of pack.keywords) {
+        for (const found of Tokenizer.findPhrase(prepared, Tokenizer.compileTerm(term))) {
+          cues.push({
+            text: prepared.raw.slice(found.start, found.end),
+            label: term,
+            pack: pack.id,
+            weight,
+            start: found.start,
+            end: found.end,
+          });
+        }
+      }
+
+      for (const { label, regex, weight } of pack.patterns) {
+        for (const found of prepared.raw.matchAll(regex)) {
+          cues.push({
+            text: found[0],
+            label,
+            pack: pack.id,
+            weight,
+            start: found.index,
+            end: found.index + found[0].length,
+          });
+        }
+      }
+
+      for (const { emoji, cue, weight } of pack.emoji) {
+        let index = prepared.raw.indexOf(emoji);
+        while (index !== -1) {
+          cues.push({
+            text: emoji,
+            label: cue,
+            pack: pack.id,
+            weight,
+            start: index,
+            end: index + emoji.length,
+          });
+          index = prepared.raw.indexOf(emoji, index + emoji.length);
+        }
+      }
+    }
+
+    return cues.sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * Every keyword across all packs, used to split hashtags into words
+   */
+  static getKeywords() {
+    return [...new Set(this.getPacks().flatMap(pack => pack.keywords.map(({ term }) => term)))];
+  }
+}
+
+export default CuePacks;
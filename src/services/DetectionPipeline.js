@@ -0,0 +1,246 @@
+import Tokenizer from './Tokenizer';
+import SafeContext from './SafeContext';
+import TextNormalizer from './TextNormalizer';
+
+export const RESULT_VERSION = '2.1.0-pipeline';
+
+/**
+ * Map a confidence onto the engine's threshold levels
+ */
+export const getSpoilerLevel = (confidence, { low, medium, high }) => {
+  if (confidence >= high) return 'high';
+  if (confidence >= medium) return 'medium';
+  if (confidence >= low) return 'low';
+  return 'none';
+};
+
+/**
+ * Default stages, in order. Each stage receives the shared state and the
+ * engine (for its configuration and matching primitives) and mutates state.
+ */
+export const DEFAULT_STAGES = [
+  {
+    name: 'normalize',
+    run: (state, engine) => {
+      // Undo obfuscation; offsets map matches back to the original text
+      state.normalized = TextNormalizer.normalize(state.text, {
+        dictionary: engine.getSegmentationDictionary(state.watchlist),
+      });
+      state.cleanText = engine.preprocessText(state.normalized.text);
+      state.prepared = Tokenizer.prepare(state.normalized.text);
+    },
+  },
+  {
+    name: 'safeContext',
+    run: (state, engine) => {
+      state.safeSpans = SafeContext.detect(state.prepared, engine.safePhrases);
+      state.context = { ...state.context, safeSpans: state.safeSpans };
+    },
+  },
+  {
+    name: 'match',
+    run: async (state, engine) => {
+      state.matches = await engine.findSpoilerMatches(state.prepared, state.watchlist, state.context);
+      // Spans and cues as offsets into the original, un-normalized text
+      state.matches = state.matches.map(match => engine.locateMatch(match, state.normalized, state.text));
+    },
+  },
+  {
+    name: 'rules',
+    run: (state, engine) => {
+      // The user's own rules from watchlist entries
+      state.matches = engine.applyRules(state);
+    },
+  },
+  {
+    name: 'allowlist',
+    run: (state, engine) => {
+      // Drop matches inside phrases the user allowed ("Netflix stock")
+      const { matches, suppressedMatches } = engine.applyAllowlist(state);
+      state.matches = matches;
+      state.suppressedMatches.push(...suppressedMatches);
+    },
+  },
+  {
+    name: 'context',
+    run: (state, engine) => {
+      // Drop matches about episodes already seen, hard-block later ones
+      const progressed = engine.applyProgress(state.matches, state.text, state.watchlist);
+      state.suppressedMatches.push(...progressed.suppressedMatches);
+
+      // Raise sensitivity for entries inside a release danger window
+      const { matches, temporalContext } = engine.applyReleaseWindows(progressed.matches, state.watchlist);
+      // Note matches near "spoiler-free" and negated contexts; scoring lowers them
+      state.matches = SafeContext.annotateMatches(matches, state.safeSpans, state.prepared, state.normalized);
+      state.context = { ...state.context, ...temporalContext };
+    },
+  },
+  {
+    name: 'score',
+    run: (state, engine) => {
+      state.confidence = engine.calculateConfidence(state.matches, state.cleanText, state.context);
+    },
+  },
+  {
+    name: 'learn',
+    run: (state, engine) => {
+      // Adjust for what this user revealed, kept hidden or reported
+      engine.applyLearning(state);
+    },
+  },
+  {
+    name: 'calibrate',
+    run: (state, engine) => {
+      // Raw score -> observed hit rate, so thresholds mean real probabilities
+      engine.applyCalibration(state);
+    },
+  },
+  {
+    name: 'policy',
+    run: (state, engine) => {
+      state.hasSpoiler = state.confidence >= engine.thresholds.low;
+      state.level = getSpoilerLevel(state.confidence, engine.thresholds);
+    },
+  },
+];
+
+/**
+ * Build the one result shape every surface receives:
+ * hasSpoiler, confidence (calibrated when there is enough feedback),
+ * rawConfidence, level, matchedTerms, matchedEntries,
+ * detailedMatches, suppressedMatches, evidence (per field) and signals
+ * (platform hints) for whole items, obfuscation (normalization steps that
+ * changed the text), learning (feedback classifier adjustment),
+ * calibration, source, timestamp, version
+ */
+export const createDetectionResult = (state = {}) => {
+  const matches = state.matches || [];
+
+  return {
+    hasSpoiler: !!state.hasSpoiler,
+    confidence: state.confidence || 0,
+    rawConfidence: state.rawConfidence ?? state.confidence ?? 0,
+    level: state.level || 'none',
+    matchedTerms: [...new Set(matches.map(m => m.term))],
+    matchedEntries: matches.map(m => ({ id: m.entryId, name: m.term, category: m.category })),
+    detailedMatches: matches,
+    suppressedMatches: state.suppressedMatches || [],
+    evidence: state.evidence || [],
+    signals: state.signals || [],
+    obfuscation: state.normalized?.transforms || [],
+    learning: state.learning || null,
+    calibration: state.calibration || null,
+    source: state.context?.source || null,
+    timestamp: new Date().toISOString(),
+    version: RESULT_VERSION,
+  };
+};
+
+/**
+ * One line per match for explanation surfaces, including matches that were
+ * cancelled and why
+ * @returns {Array<{term, text, suppressed}>}
+ */
+export const explainResult = (result = {}) => {
+  const where = match => (match.field ? ` in ${match.field}` : '');
+
+  const matched = (result.detailedMatches || []).map(match => ({
+    term: match.term,
+    text: match.matchType === 'rule'
+      ? `"${match.term}" matched a detection rule${where(match)}`
+      : `"${match.term}" matched${where(match)}`,
+    suppressed: false,
+  }));
+
+  const suppressed = (result.suppressedMatches || []).map(match => {
+    let text;
+    if (match.reason === 'allowlisted') {
+      const { phrase, scope } = match.allowlist;
+      text = `"${match.term}" allowed by "${phrase}"${scope === 'global' ? ' (global allowlist)' : ''}`;
+    } else if (match.reason === 'already_watched') {
+      text = `"${match.term}" ignored: already watched${match.progressReference ? ` (${match.progressReference})` : ''}`;
+    } else {
+      text = `"${match.term}" ignored: ${(match.reason || 'suppressed').replace(/_/g, ' ')}`;
+    }
+    return { term: match.term, text, suppressed: true };
+  });
+
+  return [...matched, ...suppressed];
+};
+
+/**
+ * Detection Pipeline
+ *
+ * Runs text through composable stages (normalize, safeContext, match,
+ * rules, allowlist, context, score, learn, calibrate, policy) so the
+ * WebView, feeds and test tools all get the same verdict.
+ */
+class DetectionPipeline {
+  constructor(stages = DEFAULT_STAGES) {
+    this.stages = [...stages];
+  }
+
+  /**
+   * Append a stage
+   */
+  use(stage) {
+    this.stages.push(stage);
+    return this;
+  }
+
+  insertBefore(name, stage) {
+    const index = this.indexOf(name);
+    this.stages.splice(index === -1 ? this.stages.length : index, 0, stage);
+    return this;
+  }
+
+  insertAfter(name, stage) {
+    const index = this.indexOf(name);
+    this.stages.splice(index === -1 ? this.stages.length : index + 1, 0, stage);
+    return this;
+  }
+
+  replace(name, stage) {
+    const index = this.indexOf(name);
+    if (index !== -1) this.stages[index] = stage;
+    return this;
+  }
+
+  indexOf(name) {
+    return this.stages.findIndex(stage => stage.name === name);
+  }
+
+  getStageNames() {
+    return this.stages.map(stage => stage.name);
+  }
+
+  /**
+   * Run all stages and build the result
+   * @param {Object} input - { text, context, watchlist }
+   * @param {Object} engine - provides thresholds and matching primitives
+   */
+  async run({ text, context = {}, watchlist = [] }, engine) {
+    const state = {
+      text,
+      context,
+      watchlist,
+      matches: [],
+      suppressedMatches: [],
+      confidence: 0,
+      hasSpoiler: false,
+    };
+
+    if (!text || typeof text !== 'string' || watchlist.length === 0) {
+      return createDetectionResult(state);
+    }
+
+    for (const stage of this.stages) {
+      await stage.run(state, engine);
+      if (state.halt) break;
+    }
+
+    return createDetectionResult(state);
+  }
+}
+
+export default DetectionPipeline;
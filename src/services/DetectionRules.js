@@ -0,0 +1,437 @@
+import uuid from 'react-native-uuid';
+import Tokenizer from './Tokenizer';
+import TextNormalizer from './TextNormalizer';
+
+const DURATION_MS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+/**
+ * Detection Rules
+ *
+ * A small rule language for watchlist entries, for when plain terms aren't
+ * enough:
+ *
+ *   ("Verstappen" OR "Max") NEAR/5 ("wins" OR /P[1-3]/) IN platform:reddit,twitter
+ *   subreddit:formula1 AND created > event.start
+ *
+ * Quoted text and bare words match whole words, /regex/ matches the text
+ * itself. NEAR/n needs both sides within n words. Fields (platform,
+ * subreddit, flair, author, field) compare the post's metadata, and
+ * `created` compares its time with dates or with `event.start` (plus or
+ * minus 30m, 2h, 3d). `event` is the entry's latest event that had started
+ * when the post was made, or its next one. IN is AND for the whole rule.
+ */
+class DetectionRules {
+  static FIELDS = ['platform', 'subreddit', 'flair', 'author', 'field'];
+  static KEYWORDS = ['AND', 'OR', 'NOT', 'IN'];
+  static DEFAULT_DISTANCE = 10;
+  static CONFIDENCE = 0.9;
+
+  /**
+   * Clean stored rules: strings or { id, expression }, trimmed, without blanks
+   */
+  static normalizeRules(rules) {
+    if (!Array.isArray(rules)) return [];
+    return rules
+      .map(rule => (typeof rule === 'string' ? { expression: rule } : rule))
+      .filter(rule => rule && typeof rule.expression === 'string' && rule.expression.trim())
+      .map(rule => ({ id: rule.id || uuid.v4(), expression: rule.expression.trim() }));
+  }
+
+  /**
+   * Parse a rule
+   * @returns {{ast, error}} error is { message, position } with a 0-based
+   *   character position, or null
+   */
+  static parse(expression) {
+    try {
+      const parser = new RuleParser(this.lex(expression || ''));
+      const ast = parser.parseRule();
+      return { ast, error: null };
+    } catch (error) {
+      if (error instanceof RuleSyntaxError) {
+        return { ast: null, error: { message: error.message, position: error.position } };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Error for a rule as typed, or null when it is valid
+   */
+  static validate(expression) {
+    return this.parse(expression).error;
+  }
+
+  /**
+   * Human-readable error, e.g. for alerts
+   */
+  static formatError(error) {
+    return error ? `${error.message} (at character ${error.position + 1})` : '';
+  }
+
+  static lex(source) {
+    const tokens = [];
+    let i = 0;
+
+    const fail = (message, position = i) => {
+      throw new RuleSyntaxError(message, position);
+    };
+
+    // A quoted string starting at i, unescaped
+    const readString = () => {
+      const quote = source[i];
+      const start = i;
+      let value = '';
+      i++;
+      while (i < source.length && source[i] !== quote) {
+        if (source[i] === '\\' && i + 1 < source.length) i++;
+        value += source[i++];
+      }
+      if (i >= source.length) fail('Unclosed quote', start);
+      i++;
+      return value;
+    };
+
+    while (i < source.length) {
+      const ch = source[i];
+      const start = i;
+
+      if (/\s/.test(ch)) {
+        i++;
+      } else if (ch === '(' || ch === ')') {
+        tokens.push({ type: ch, position: start });
+        i++;
+      } else if (ch === '"' || ch === "'") {
+        tokens.push({ type: 'string', value: readString(), position: start });
+      } else if (ch === '/') {
+        const match = source.slice(i).match(/^\/((?:\\.|[^\\/])+)\/([a-z]*)/);
+        if (!match) fail('Unclosed regular expression');
+        tokens.push({ type: 'regex', source: match[1], flags: match[2], position: start });
+        i += match[0].length;
+      } else if (/[<>=]/.test(ch)) {
+        const operator = source.slice(i).match(/^(>=|<=|>|<|=)/)[1];
+        i += operator.length;
+        while (i < source.length && /\s/.test(source[i])) i++;
+        const value = source.slice(i).match(/^[^\s()]+/);
+        if (!value) fail(`Expected a value after "${operator}"`);
+        tokens.push({ type: 'compare', operator, value: value[0], valuePosition: i, position: start });
+        i += value[0].length;
+      } else {
+        const word = source.slice(i).match(/^[^\s()"'<>=:]+/);
+        if (!word) fail(`Unexpected "${ch}"`);
+        i += word[0].length;
+
+        const near = word[0].match(/^NEAR(?:\/(\d+))?$/);
+        if (near) {
+          tokens.push({ type: 'NEAR', distance: near[1] ? Number(near[1]) : this.DEFAULT_DISTANCE, position: start });
+        } else if (this.KEYWORDS.includes(word[0])) {
+          tokens.push({ type: word[0], position: start });
+        } else if (source[i] === ':') {
+          // field:value,value — values may be quoted
+          i++;
+          const values = [];
+          do {
+            if (source[i] === ',') i++;
+            if (source[i] === '"' || source[i] === "'") {
+              values.push(readString());
+            } else {
+              const value = source.slice(i).match(/^[^\s(),]+/);
+              if (!value) fail(`Expected a value for "${word[0]}"`);
+              values.push(value[0]);
+              i += value[0].length;
+            }
+          } while (source[i] === ',');
+          tokens.push({ type: 'field', field: word[0], values, position: start });
+        } else {
+          tokens.push({ type: 'word', value: word[0], position: start });
+        }
+      }
+    }
+
+    tokens.push({ type: 'end', position: source.length });
+    return tokens;
+  }
+
+  /**
+   * Evaluate a parsed rule
+   * @param {Object} env - { text, normalized, prepared, platform, field,
+   *   item: { subreddit, flair, author, created }, events }
+   * @returns {Array|null} matched spans in prepared text ({start, end,
+   *   tokenStart, tokenEnd}; empty for metadata-only rules), or null
+   */
+  static evaluate(node, env) {
+    switch (node.type) {
+      case 'phrase': {
+        const found = Tokenizer.findPhrase(env.prepared, node.compiled);
+        return found.length > 0 ? found : null;
+      }
+      case 'regex': {
+        // Patterns see the text as written: "P1" would not survive leetspeak decoding
+        const found = [...(env.text ?? env.prepared.raw).matchAll(node.regex)]
+          .filter(match => match[0])
+          .map(match => {
+            const { start, end } = TextNormalizer.toPreparedRange(env.normalized, match.index, match.index + match[0].length);
+            return { start, end, ...Tokenizer.getTokenRange(env.prepared, start, end) };
+          });
+        return found.length > 0 ? found : null;
+      }
+      case 'field':
+        return this.matchesField(node, env) ? [] : null;
+      case 'compare':
+        return this.compareCreated(node, env) ? [] : null;
+      case 'not':
+        return this.evaluate(node.child, env) ? null : [];
+      case 'and': {
+        const spans = [];
+        for (const child of node.children) {
+          const result = this.evaluate(child, env);
+          if (!result) return null;
+          spans.push(...result);
+        }
+        return spans;
+      }
+      case 'or': {
+        const results = node.children.map(child => this.evaluate(child, env)).filter(Boolean);
+        return results.length > 0 ? results.flat() : null;
+      }
+      case 'near': {
+        const left = this.evaluate(node.left, env);
+        const right = left && this.evaluate(node.right, env);
+        if (!left || !right) return null;
+
+        const spans = new Set();
+        for (const a of left) {
+          for (const b of right) {
+            if (Tokenizer.getTokenDistance(a, b) <= node.distance) {
+              spans.add(a);
+              spans.add(b);
+            }
+          }
+        }
+        return spans.size > 0 ? [...spans] : null;
+      }
+      default:
+        return null;
+    }
+  }
+
+  static matchesField({ field, values }, env) {
+    const actual = field === 'platform' || field === 'field' ? env[field] : env.item?.[field];
+    if (typeof actual !== 'string' || !actual) return false;
+
+    const clean = (value) => value.toLowerCase().replace(/^(r|u)\//, '').trim();
+    return values.some(value => clean(value) === clean(actual));
+  }
+
+  static compareCreated({ operator, value }, env) {
+    const created = env.item?.created ? new Date(env.item.created).getTime() : NaN;
+    if (isNaN(created)) return false;
+
+    const target = this.resolveTime(value, env.events || [], created);
+    if (target === null) return false;
+
+    switch (operator) {
+      case '>': return created > target;
+      case '>=': return created >= target;
+      case '<': return created < target;
+      case '<=': return created <= target;
+      default: return created === target;
+    }
+  }
+
+  /**
+   * Milliseconds for a date or `event.start[+-offset]`, or null
+   */
+  static resolveTime(value, events, created) {
+    const relative = value.match(/^event\.start(?:([+-])(\d+)([mhd]))?$/);
+    if (!relative) {
+      const date = new Date(value);
+      return isNaN(date.getTime()) ? null : date.getTime();
+    }
+
+    const starts = events.map(event => new Date(event.startsAt).getTime()).filter(time => !isNaN(time));
+    const started = starts.filter(time => time <= created);
+    const upcoming = starts.filter(time => time > created);
+    const start = started.length > 0 ? Math.max(...started) : upcoming.length > 0 ? Math.min(...upcoming) : null;
+    if (start === null) return null;
+
+    const [, sign, amount, unit] = relative;
+    const offset = sign ? Number(amount) * DURATION_MS[unit] * (sign === '-' ? -1 : 1) : 0;
+    return start + offset;
+  }
+}
+
+class RuleSyntaxError extends Error {
+  constructor(message, position) {
+    super(message);
+    this.name = 'RuleSyntaxError';
+    this.position = position;
+  }
+}
+
+/**
+ * Recursive descent over lexed tokens. Precedence, loosest first:
+ * IN, OR, AND, NOT, NEAR.
+ */
+class RuleParser {
+  constructor(tokens) {
+    this.tokens = tokens;
+    this.index = 0;
+  }
+
+  peek() {
+    return this.tokens[this.index];
+  }
+
+  next() {
+    return this.tokens[this.index++];
+  }
+
+  fail(message, token = this.peek()) {
+    throw new RuleSyntaxError(message, token.position);
+  }
+
+  describe(token) {
+    switch (token.type) {
+      case 'end': return 'end of rule';
+      case 'word':
+      case 'string': return `"${token.value}"`;
+      case 'regex': return `/${token.source}/`;
+      case 'field': return `"${token.field}:"`;
+      case 'compare': return `"${token.operator}"`;
+      default: return `"${token.type}"`;
+    }
+  }
+
+  parseRule() {
+    if (this.peek().type === 'end') this.fail('Rule is empty');
+
+    let ast = this.parseOr();
+    if (this.peek().type === 'IN') {
+      this.next();
+      const filters = [this.parseField()];
+      while (this.peek().type === 'field') filters.push(this.parseField());
+      ast = { type: 'and', children: [ast, ...filters] };
+    }
+
+    const extra = this.peek();
+    if (extra.type === ')') this.fail('Unmatched ")"');
+    if (extra.type !== 'end') this.fail(`Expected AND, OR or NEAR before ${this.describe(extra)}`);
+    return ast;
+  }
+
+  parseOr() {
+    const children = [this.parseAnd()];
+    while (this.peek().type === 'OR') {
+      this.next();
+      children.push(this.parseAnd());
+    }
+    return children.length === 1 ? children[0] : { type: 'or', children };
+  }
+
+  parseAnd() {
+    const children = [this.parseNot()];
+    while (this.peek().type === 'AND') {
+      this.next();
+      children.push(this.parseNot());
+    }
+    return children.length === 1 ? children[0] : { type: 'and', children };
+  }
+
+  parseNot() {
+    if (this.peek().type === 'NOT') {
+      this.next();
+      return { type: 'not', child: this.parseNot() };
+    }
+    return this.parseNear();
+  }
+
+  parseNear() {
+    let left = this.parsePrimary();
+    while (this.peek().type === 'NEAR') {
+      const operator = this.next();
+      const right = this.parsePrimary();
+      if (!this.isTextual(left) || !this.isTextual(right)) {
+        this.fail('NEAR needs text or patterns on both sides', operator);
+      }
+      left = { type: 'near', distance: operator.distance, left, right };
+    }
+    return left;
+  }
+
+  parsePrimary() {
+    const token = this.peek();
+
+    switch (token.type) {
+      case '(': {
+        this.next();
+        const node = this.parseOr();
+        if (this.peek().type !== ')') this.fail(`Expected ")" but found ${this.describe(this.peek())}`);
+        this.next();
+        return node;
+      }
+      case 'word':
+        this.next();
+        if (this.peek().type === 'compare') return this.parseComparison(token);
+        return this.parsePhrase(token);
+      case 'string':
+        this.next();
+        return this.parsePhrase(token);
+      case 'regex': {
+        this.next();
+        if (/[^gimsuy]/.test(token.flags)) this.fail(`Unknown regex flag in "${token.flags}"`, token);
+        try {
+          const flags = token.flags.includes('g') ? token.flags : `${token.flags}g`;
+          return { type: 'regex', source: token.source, regex: new RegExp(token.source, flags) };
+        } catch (error) {
+          return this.fail(`Invalid regular expression: ${error.message.replace(/^Invalid regular expression:\s*/i, '')}`, token);
+        }
+      }
+      case 'field':
+        return this.parseField();
+      case 'compare':
+        return this.fail('Comparisons need a field, e.g. created > event.start', token);
+      default:
+        return this.fail(`Expected text, a pattern or a field but found ${this.describe(token)}`, token);
+    }
+  }
+
+  parsePhrase(token) {
+    const compiled = Tokenizer.compileTerm(token.value);
+    if (compiled.tokens.length === 0) this.fail('Text must contain a letter or number', token);
+    return { type: 'phrase', value: token.value, compiled };
+  }
+
+  parseComparison(field) {
+    const comparison = this.next();
+    if (field.value !== 'created') this.fail(`Only "created" can be compared, not "${field.value}"`, field);
+
+    const { value } = comparison;
+    if (!/^event\.start(?:[+-]\d+[mhd])?$/.test(value) && isNaN(new Date(value).getTime())) {
+      throw new RuleSyntaxError(
+        `Expected a date or event.start (e.g. event.start+2h) but found "${value}"`,
+        comparison.valuePosition
+      );
+    }
+    return { type: 'compare', operator: comparison.operator, value };
+  }
+
+  parseField() {
+    const token = this.peek();
+    if (token.type !== 'field') this.fail(`Expected a field such as platform:reddit but found ${this.describe(token)}`);
+    this.next();
+
+    if (!DetectionRules.FIELDS.includes(token.field)) {
+      this.fail(`Unknown field "${token.field}", use one of ${DetectionRules.FIELDS.join(', ')}`, token);
+    }
+    return { type: 'field', field: token.field, values: token.values };
+  }
+
+  isTextual(node) {
+    if (node.type === 'phrase' || node.type === 'regex' || node.type === 'near') return true;
+    if (node.type === 'and' || node.type === 'or') return node.children.every(child => this.isTextual(child));
+    return false;
+  }
+}
+
+export default DetectionRules;
@@ -0,0 +1,92 @@
+import uuid from 'react-native-uuid';
+import StorageService from './StorageService';
+
+/**
+ * User Feedback
+ *
+ * Every reveal, keep-hidden, "not a spoiler" and "missed spoiler" action is
+ * stored as a labeled example for the on-device classifier. Reveals are
+ * weaker evidence than explicit reports: people sometimes reveal spoilers
+ * on purpose.
+ */
+class FeedbackService {
+  static MAX_EXAMPLES = 1000;
+  static MAX_TEXT_LENGTH = 2000;
+
+  static ACTIONS = {
+    reveal: { label: 'safe', weight: 0.5 },
+    keep_hidden: { label: 'spoiler', weight: 1.0 },
+    not_spoiler: { label: 'safe', weight: 1.0 },
+    missed_spoiler: { label: 'spoiler', weight: 1.0 },
+  };
+
+  static listeners = new Set();
+
+  /**
+   * Be notified whenever the examples change
+   * @returns {Function} unsubscribe
+   */
+  static onChange(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  static async getExamples() {
+    return await StorageService.getFeedbackExamples();
+  }
+
+  static async saveExamples(examples) {
+    const saved = await StorageService.saveFeedbackExamples(examples);
+    if (saved) {
+      this.listeners.forEach(listener => listener(examples));
+    }
+    return saved;
+  }
+
+  /**
+   * Record a user action as a labeled example
+   * @param {string} action - one of ACTIONS
+   * @param {Object} sample - { text, result } where result is the detection
+   *   result the user reacted to
+   */
+  static async record(action, { text, result } = {}) {
+    const definition = this.ACTIONS[action];
+    if (!definition || typeof text !== 'string' || !text.trim()) return null;
+
+    const example = {
+      id: uuid.v4(),
+      action,
+      label: definition.label,
+      weight: definition.weight,
+      text: text.slice(0, this.MAX_TEXT_LENGTH),
+      confidence: result?.confidence ?? 0,
+      rawConfidence: result?.rawConfidence ?? result?.confidence ?? 0,
+      matchedTerms: result?.matchedTerms || [],
+      source: result?.source || null,
+      createdAt: new Date().toISOString(),
+    };
+
+    const examples = await this.getExamples();
+    await this.saveExamples([...examples, example].slice(-this.MAX_EXAMPLES));
+    return example;
+  }
+
+  static async reset() {
+    return await this.saveExamples([]);
+  }
+
+  /**
+   * Training data as JSON, for sharing or inspection
+   */
+  static async exportTrainingData() {
+    const examples = await this.getExamples();
+    return JSON.stringify({
+      format: 'spoiler-shield-feedback',
+      version: 1,
+      exportedAt: new Date().toISOString(),
+      examples,
+    }, null, 2);
+  }
+}
+
+export default FeedbackService;
@@ -1,4 +1,24 @@
 import StorageService from './StorageService';
+import WatchlistService from './WatchlistService';
+import ProgressTracker from './ProgressTracker';
+import ReleaseCalendar from './ReleaseCalendar';
+import Tokenizer from './Tokenizer';
+import TextNormalizer from './TextNormalizer';
+import PlatformSignals from './PlatformSignals';
+import CuePacks from './CuePacks';
+import SafeContext from './SafeContext';
+import PhraseMatcher from './PhraseMatcher';
+import MarkdownParser from './MarkdownParser';
+import DetectionRules from './DetectionRules';
+import Allowlist from './Allowlist';
+import AnalysisCache from './AnalysisCache';
+import StatsCollector from './StatsCollector';
+import FeedbackService from './FeedbackService';
+import SpoilerClassifier from './SpoilerClassifier';
+import ConfidenceCalibrator from './ConfidenceCalibrator';
+import DetectionPipeline, { createDetectionResult, getSpoilerLevel, RESULT_VERSION } from './DetectionPipeline';
+import { SENSITIVITY_WEIGHTS, TERM_SOURCE_WEIGHTS } from '../utils/constants';
+import { getItemFields, getItemTimestamp, splitSentences } from '../utils/helpers';
 
 /**
  * ML Engine for Spoiler Detection
@@ -10,7 +30,7 @@ class MLEngine {
   constructor() {
     this.isInitialized = false;
     this.models = {
-      textClassifier: null,
+      textClassifier: new SpoilerClassifier(), // Trained on device from user feedback
       contextAnalyzer: null,
       imageAnalyzer: null, // Future: for meme/screenshot analysis
     };
@@ -29,7 +49,66 @@ class MLEngine {
       comment: 0.6,
       username: 0.3,
       subreddit: 0.4,
+      tag: 0.7,
     };
+
+    // Context type for each adapter's analysisContent field
+    this.fieldContextTypes = {
+      title: 'title',
+      text: 'title',
+      body: 'body',
+      description: 'body',
+      content: 'body',
+      flair: 'tag',
+      hashtags: 'tag',
+      tags: 'tag',
+      categories: 'tag',
+      subreddit: 'subreddit',
+      author: 'username',
+      mentions: 'username',
+      channel: 'username',
+      source: 'username',
+    };
+
+    // How close (in tokens) a cue must be to the entity, and how much a
+    // cue at the edge of the window still counts
+    this.proximity = {
+      window: 10,
+      minFactor: 0.4,
+    };
+
+    // User-configured phrases that mark content as safe
+    this.safePhrases = [];
+
+    // Phrases and contexts that cancel any entry's match ("Netflix stock");
+    // entries carry their own lists too
+    this.allowlist = [];
+    this.compiledAllowlist = null;
+
+    // Maps raw scores to the hit rates seen in the user's feedback
+    this.calibrator = new ConfidenceCalibrator();
+
+    // How far the feedback classifier may move confidence, and how many
+    // examples it needs before it gets that full say
+    this.learning = {
+      maxAdjustment: 0.2,
+      fullStrengthExamples: 50,
+    };
+
+    // Sensitivity window around release calendar events
+    this.dangerWindow = ReleaseCalendar.resolveWindow();
+
+    this.pipeline = new DetectionPipeline();
+
+    // Watchlist kept in memory and compiled once; any save invalidates it
+    this.watchlist = null;
+    this.watchlistVersion = 0;
+    this.compiledWatchlists = new WeakMap();
+    StorageService.onWatchlistChange(() => {
+      this.watchlist = null;
+      this.watchlistVersion++;
+    });
+    FeedbackService.onChange(examples => this.train(examples));
   }
 
   async initialize() {
@@ -39,6 +118,21 @@ class MLEngine {
       // Future: Load TensorFlow Lite models
       // await this.loadTextClassificationModel();
       // await this.loadContextAnalysisModel();
+
+      const settings = await StorageService.getSettings();
+      if (settings.dangerWindow) {
+        this.dangerWindow = ReleaseCalendar.resolveWindow(settings.dangerWindow);
+      }
+      if (typeof settings.foldAccents === 'boolean') {
+        Tokenizer.setFoldAccents(settings.foldAccents);
+      }
+      if (Array.isArray(settings.safePhrases)) {
+        this.safePhrases = settings.safePhrases;
+      }
+      if (Array.isArray(settings.allowlist)) {
+        this.allowlist = settings.allowlist;
+      }
+      this.train(await FeedbackService.getExamples());
       
       this.isInitialized = true;
       console.log('[MLEngine] Initialized successfully');
@@ -50,65 +144,458 @@ class MLEngine {
   }
 
   /**
-   * Analyze text content for spoilers using current rule-based approach
-   * Future: Replace with BERT-based classification
+   * Run text through the detection pipeline. Every surface (WebView, feeds,
+   * test tools) goes through here so they all share one verdict and schema.
    */
-  async analyzeText(text, context = {}) {
-    if (!text || typeof text !== 'string') {
-      return this.createResult(false, 0, []);
+  async analyze(text, context = {}) {
+    await this.initialize();
+
+    const watchlist = await this.getWatchlist();
+    const result = await this.runPipeline(text, context, watchlist);
+
+    // Update statistics
+    if (text && watchlist.length > 0) {
+      StatsCollector.record(result);
     }
 
+    return result;
+  }
+
+  /**
+   * Compatibility wrapper, use analyze()
+   */
+  async analyzeText(text, context = {}) {
+    return this.analyze(text, context);
+  }
+
+  /**
+   * Watchlist from memory, loading it from storage after a change
+   */
+  async getWatchlist() {
+    if (this.watchlist) return this.watchlist;
+
+    const version = this.watchlistVersion;
     const watchlist = await StorageService.getWatchlist();
-    if (watchlist.length === 0) {
-      return this.createResult(false, 0, []);
+    if (version === this.watchlistVersion) {
+      this.watchlist = watchlist;
     }
+    return watchlist;
+  }
 
-    // Clean and prepare text
-    const cleanText = this.preprocessText(text);
-    
-    // Find matching terms with context awareness
-    const matches = await this.findSpoilerMatches(cleanText, watchlist, context);
-    
-    // Calculate confidence score
-    const confidence = this.calculateConfidence(matches, cleanText, context);
-    
-    // Determine if content should be considered a spoiler
-    const hasSpoiler = confidence >= this.thresholds.low;
+  /**
+   * Compile a watchlist once: every search term of every entry goes into one
+   * phrase automaton, so each post is scanned in a single pass
+   */
+  compileWatchlist(watchlist) {
+    const cached = this.compiledWatchlists.get(watchlist);
+    if (cached) return cached;
+
+    const entries = watchlist.map(entry => ({
+      entry,
+      terms: WatchlistService.getSearchTerms(entry)
+        .map(({ term, source }) => ({ term: term.trim(), source }))
+        .filter(({ term }) => term)
+        .map(({ term, source }) => ({ term, source, compiled: Tokenizer.compileTerm(term) })),
+    }));
+
+    // Rules that don't parse (e.g. edited by hand in an import) are skipped
+    const rules = watchlist.flatMap(entry => (entry.rules || [])
+      .map(rule => ({ entry, rule, ast: DetectionRules.parse(rule.expression).ast }))
+      .filter(({ ast }) => ast)
+    );
+
+    const compiled = {
+      entries,
+      entriesById: new Map(watchlist.map(entry => [entry.id, entry])),
+      rules,
+      allowlists: new Map(watchlist.map(entry => [entry.id, Allowlist.compile(entry.allowlist || [], 'entry')])),
+      hash: AnalysisCache.hash(JSON.stringify(watchlist)),
+      matcher: new PhraseMatcher(
+        entries.flatMap(({ terms }) => terms.map(({ term, compiled: phrase }) => ({ term, compiled: phrase })))
+      ),
+      dictionary: this.buildSegmentationDictionary(entries),
+    };
+
+    this.compiledWatchlists.set(watchlist, compiled);
+    return compiled;
+  }
+
+  /**
+   * Run the pipeline on one text, going through the analysis cache
+   * @param {Object} options - { cache: false for pieces of an item
+   *   (sentences, markdown blocks), which would crowd whole items out of the
+   *   cache and skew its hit rate }
+   */
+  async runPipeline(text, context, watchlist, { cache = true } = {}) {
+    if (!cache || !text || typeof text !== 'string' || watchlist.length === 0) {
+      return this.pipeline.run({ text, context, watchlist }, this);
+    }
+
+    // Rules and allowlist contexts can look at the platform and post
+    // metadata, so with either the same text elsewhere is a different entry
+    const version = this.getCacheVersion(watchlist);
+    const { rules, allowlists } = this.compileWatchlist(watchlist);
+    const contextual = rules.length > 0 ||
+      [...allowlists.values(), this.getCompiledAllowlist()].some(list => list.some(item => item.kind === 'context'));
+    const scope = contextual
+      ? JSON.stringify([context.type, context.source, context.field, context.item])
+      : context.type;
+    const key = AnalysisCache.getKey(text, scope);
+    const textHash = AnalysisCache.hash(text);
+    const cached = await AnalysisCache.get(key, version, textHash);
+    if (cached) {
+      // Crossposts share a result; report the platform it was seen on now
+      return { ...cached, source: context.source || null };
+    }
+
+    const result = await this.pipeline.run({ text, context, watchlist }, this);
+    if (!this.inReleaseWindow(result, watchlist, AnalysisCache.TTL_MS)) {
+      await AnalysisCache.set(key, version, result, textHash);
+    }
+    return result;
+  }
+
+  /**
+   * Whether a matched entry's release window is open now or opens within
+   * the next `withinMs`. Such results change with the clock, so they aren't
+   * cached.
+   */
+  inReleaseWindow(result, watchlist, withinMs, now = new Date()) {
+    const later = new Date(now.getTime() + withinMs);
+    return result.matchedEntries.some(({ id }) => {
+      const entry = watchlist.find(item => item.id === id);
+      return ReleaseCalendar.getRecency(entry, now, this.dangerWindow).weight > 0 ||
+        ReleaseCalendar.getRecency(entry, later, this.dangerWindow).weight > 0;
+    });
+  }
+
+  /**
+   * Everything a cached result depends on: result schema, watchlist
+   * (including progress markers) and detection config
+   */
+  getCacheVersion(watchlist) {
+    const config = JSON.stringify({
+      thresholds: this.thresholds,
+      contextWeights: this.contextWeights,
+      proximity: this.proximity,
+      safePhrases: this.safePhrases,
+      allowlist: this.allowlist,
+      dangerWindow: this.dangerWindow,
+      foldAccents: Tokenizer.foldAccents,
+      learning: this.learning,
+      classifier: this.models.textClassifier.version,
+      calibrator: this.calibrator.version,
+      stages: this.pipeline.getStageNames(),
+    });
+    return `${RESULT_VERSION}:${this.compileWatchlist(watchlist).hash}:${AnalysisCache.hash(config)}`;
+  }
+
+  /**
+   * Analyze a whole feed item from any platform adapter. Each analysisContent
+   * field runs through the pipeline under its own context weight, and the
+   * result is one verdict with per-field evidence.
+   */
+  async analyzeItem(item, context = {}) {
+    await this.initialize();
+
+    const watchlist = await this.getWatchlist();
+    const result = await this.runItem(item, context, watchlist);
 
     // Update statistics
-    await this.updateStats(hasSpoiler);
+    if (watchlist.length > 0) {
+      StatsCollector.record(result);
+    }
 
-    return this.createResult(hasSpoiler, confidence, matches);
+    return result;
   }
 
   /**
-   * Preprocess text for analysis
+   * Score one feed item against a loaded watchlist, without touching stats
+   */
+  async runItem(item, context, watchlist) {
+    const fields = getItemFields(item);
+    const itemContext = { source: item?.platform || null, item: this.getRuleMetadata(item), ...context };
+    const evidence = [];
+
+    for (const [field, value] of Object.entries(fields)) {
+      if (field === 'type') continue;
+
+      // Hashtags arrive without "#"; put it back so they get split into words
+      const text = field === 'hashtags' && Array.isArray(value)
+        ? this.getStandaloneHashtags(value, fields).join(' ')
+        : Array.isArray(value) ? value.join(' ') : value;
+      if (typeof text !== 'string' || !text.trim()) continue;
+
+      const type = this.getFieldContextType(field, fields.type);
+      const weight = this.contextWeights[type] ?? 1.0;
+      const result = await this.runPipeline(text, { ...itemContext, type, field }, watchlist);
+
+      if (result.detailedMatches.length === 0 && result.suppressedMatches.length === 0) continue;
+
+      evidence.push({
+        field,
+        type,
+        weight,
+        confidence: result.confidence,
+        rawConfidence: result.rawConfidence,
+        weightedConfidence: Math.round(result.rawConfidence * weight * 100) / 100,
+        matchedTerms: result.matchedTerms,
+        detailedMatches: result.detailedMatches,
+        suppressedMatches: result.suppressedMatches,
+      });
+    }
+
+    const signals = PlatformSignals.extract(item, watchlist);
+    return this.combineEvidence(evidence, itemContext, signals, watchlist);
+  }
+
+  /**
+   * Hashtags as "#tag", leaving out those already in the item's text: a
+   * tweet's hashtags are also in its text, and the same tag shouldn't
+   * corroborate itself as a second field
+   */
+  getStandaloneHashtags(tags, fields) {
+    const inText = new Set(
+      [fields.text, fields.title, fields.description]
+        .filter(value => typeof value === 'string')
+        .flatMap(value => value.match(/#[\p{L}\p{N}_]+/gu) || [])
+        .map(tag => tag.toLowerCase())
+    );
+
+    return tags
+      .map(tag => (tag.startsWith('#') ? tag : `#${tag}`))
+      .filter(tag => !inText.has(tag.toLowerCase()));
+  }
+
+  /**
+   * Post metadata detection rules can test (subreddit, flair, author, created)
+   */
+  getRuleMetadata(item) {
+    const created = getItemTimestamp(item);
+    return {
+      subreddit: item?.subreddit || item?.analysisContent?.subreddit || null,
+      flair: item?.flair || item?.analysisContent?.flair || null,
+      // Tweets carry the author as a profile object
+      author: (typeof item?.author === 'string' ? item.author : item?.author?.username) ||
+        item?.analysisContent?.author || null,
+      created: created ? created.toISOString() : null,
+    };
+  }
+
+  /**
+   * Comments reuse the body field, but carry the lower comment weight
+   */
+  getFieldContextType(field, contentType) {
+    if (field === 'body' && contentType === 'comment') return 'comment';
+    return this.fieldContextTypes[field] || 'body';
+  }
+
+  /**
+   * Merge per-field evidence and platform signals into one verdict: the
+   * strongest weighted field, boosted when other fields corroborate it
+   */
+  combineEvidence(evidence, context = {}, signals = [], watchlist = []) {
+    const matchesByEntry = new Map();
+    const suppressedMatches = [];
+
+    for (const fieldEvidence of evidence) {
+      for (const match of fieldEvidence.detailedMatches) {
+        const existing = matchesByEntry.get(match.entryId);
+        if (!existing || match.confidence * fieldEvidence.weight > existing.confidence * existing.fieldWeight) {
+          matchesByEntry.set(match.entryId, { ...match, field: fieldEvidence.field, fieldWeight: fieldEvidence.weight });
+        }
+      }
+      suppressedMatches.push(
+        ...fieldEvidence.suppressedMatches.map(match => ({ ...match, field: fieldEvidence.field }))
+      );
+    }
+
+    // Platform topics about a watchlist entry count as matches of their own,
+    // unless the text's mention was allowlisted or already watched
+    const suppressedEntries = new Set(suppressedMatches.map(match => match.entryId));
+    const topicConfidences = [];
+    for (const signal of signals.filter(signal => signal.kind === 'topic')) {
+      if (suppressedEntries.has(signal.entryId)) continue;
+      if (matchesByEntry.has(signal.entryId)) {
+        topicConfidences.push(signal.strength);
+        continue;
+      }
+
+      const entry = watchlist.find(item => item.id === signal.entryId);
+      if (!entry) continue;
+
+      const match = {
+        term: entry.name,
+        entryId: entry.id,
+        category: entry.category,
+        matchedTerm: signal.value,
+        termSource: 'platform',
+        matchType: 'platform_topic',
+        confidence: signal.strength,
+        context: `${signal.platform}_topic`,
+        field: 'contextAnnotations',
+      };
+
+      const allowed = this.findTopicSuppressor(match, context, watchlist);
+      if (allowed) {
+        suppressedMatches.push({ ...match, reason: 'allowlisted', allowlist: allowed });
+        continue;
+      }
+
+      topicConfidences.push(signal.strength);
+      matchesByEntry.set(entry.id, match);
+    }
+
+    const matches = [...matchesByEntry.values()];
+    const scoring = evidence
+      .map(fieldEvidence => fieldEvidence.weightedConfidence)
+      .concat(topicConfidences)
+      .filter(confidence => confidence > 0)
+      .sort((a, b) => b - a);
+
+    let confidence = scoring[0] || 0;
+    if (scoring.length > 1) {
+      confidence = Math.min(0.95, confidence + (scoring.length - 1) * 0.05);
+    }
+
+    // Fields were combined on raw scores; calibrate the combination once
+    const rawConfidence = Math.round(confidence * 100) / 100;
+    confidence = this.calibrate(rawConfidence);
+
+    // Spoiler-prone flairs and tags only count alongside a watchlist match
+    const spoilerProne = signals.find(signal => signal.kind === 'spoilerProne');
+    if (spoilerProne && matches.length > 0) {
+      confidence = Math.max(confidence, spoilerProne.strength);
+    }
+
+    // Content the author marked as a spoiler, or past the user's progress, is always blocked
+    const explicit = signals.find(signal => signal.kind === 'explicit');
+    if (explicit) confidence = Math.max(confidence, explicit.strength);
+    if (matches.some(match => match.hardBlock)) confidence = 0.95;
+
+    confidence = Math.round(confidence * 100) / 100;
+
+    return createDetectionResult({
+      context,
+      matches,
+      suppressedMatches,
+      evidence,
+      signals,
+      confidence,
+      rawConfidence,
+      calibration: this.getCalibrationInfo(),
+      hasSpoiler: confidence >= this.thresholds.low,
+      level: getSpoilerLevel(confidence, this.thresholds),
+    });
+  }
+
+  /**
+   * The allowlist context (`platform:twitter`, `author:...`) that cancels a
+   * topic match, or null. Phrases can't: a topic has no mention in the text
+   * for them to cover.
+   */
+  findTopicSuppressor(match, context, watchlist) {
+    const { allowlists } = this.compileWatchlist(watchlist);
+    const contexts = [...(allowlists.get(match.entryId) || []), ...this.getCompiledAllowlist()]
+      .filter(allowed => allowed.kind === 'context');
+    if (contexts.length === 0) return null;
+
+    return Allowlist.findSuppressor(match, contexts, {
+      text: '',
+      normalized: TextNormalizer.normalize(''),
+      prepared: Tokenizer.prepare(''),
+      platform: context.source || null,
+      field: match.field,
+      item: context.item || {},
+    });
+  }
+
+  /**
+   * Words used to split run-together hashtags: watchlist terms and cue
+   * keywords, as lowercase token lists
+   */
+  getSegmentationDictionary(watchlist) {
+    return this.compileWatchlist(watchlist).dictionary;
+  }
+
+  buildSegmentationDictionary(entries) {
+    return [
+      ...entries.flatMap(({ terms }) => terms.map(({ compiled }) => compiled.tokens)),
+      ...CuePacks.getKeywords().map(term => Tokenizer.compileTerm(term).tokens),
+    ].filter(tokens => tokens.length > 0);
+  }
+
+  /**
+   * Preprocess text for analysis. Obfuscation is undone earlier, in the
+   * pipeline's normalize stage (TextNormalizer).
    */
   preprocessText(text) {
     return text
+      .normalize('NFKC')
       .toLowerCase()
-      .replace(/[^\w\s]/g, ' ') // Remove punctuation
+      .replace(/[^\p{L}\p{N}\p{M}\s]/gu, ' ') // Remove punctuation, keep letters in any script
       .replace(/\s+/g, ' ') // Normalize whitespace
       .trim();
   }
 
   /**
-   * Find spoiler matches with advanced pattern matching
+   * Find spoiler matches with advanced pattern matching.
+   * Each watchlist entry contributes at most one match: the strongest
+   * across its name, aliases and related terms.
    */
-  async findSpoilerMatches(text, watchlist, context = {}) {
+  async findSpoilerMatches(prepared, watchlist, context = {}) {
     const matches = [];
+    const { entries, matcher } = this.compileWatchlist(watchlist);
+
+    // One pass over the text finds every exact phrase of every entry
+    const exactSpans = new Map();
+    for (const hit of matcher.match(prepared)) {
+      const spans = exactSpans.get(hit.pattern.term) || [];
+      exactSpans.set(hit.pattern.term, [...spans, { start: hit.start, end: hit.end }]);
+    }
+
+    // Cue packs depend only on the category, so find each category's cues once
+    // Cues inside a safe span ("no spoilers") don't count
+    const cuesByCategory = new Map();
+    const safeSpans = context.safeSpans || [];
+    const getCues = (category) => {
+      if (!cuesByCategory.has(category)) {
+        cuesByCategory.set(
+          category,
+          CuePacks.findCues(prepared, category).filter(cue => !SafeContext.covers(safeSpans, cue.start, cue.end))
+        );
+      }
+      return cuesByCategory.get(category);
+    };
     
-    for (const term of watchlist) {
-      const termLower = term.toLowerCase().trim();
-      if (!termLower) continue;
+    for (const { entry, terms } of entries) {
+      let bestMatch = null;
+      const termContext = { ...context, category: entry.category, cues: getCues(entry.category) };
+
+      for (const { term, source } of terms) {
+        const match = this.analyzeTerm(prepared, term, termContext, { exactSpans: exactSpans.get(term) || [] });
+        if (!match.found) continue;
 
-      const match = this.analyzeTerm(text, termLower, context);
-      if (match.found) {
+        const confidence = match.confidence * (TERM_SOURCE_WEIGHTS[source] || 1.0);
+        if (!bestMatch || confidence > bestMatch.confidence) {
+          bestMatch = { ...match, confidence, matchedTerm: term, termSource: source };
+        }
+      }
+
+      if (bestMatch) {
+        const sensitivityWeight = SENSITIVITY_WEIGHTS[entry.sensitivity] || 1.0;
         matches.push({
-          term: term,
-          matchType: match.type,
-          confidence: match.confidence,
-          context: match.context,
+          term: entry.name,
+          entryId: entry.id,
+          category: entry.category,
+          matchedTerm: bestMatch.matchedTerm,
+          termSource: bestMatch.termSource,
+          matchType: bestMatch.type,
+          confidence: Math.min(0.95, bestMatch.confidence * sensitivityWeight),
+          context: bestMatch.context,
+          spans: bestMatch.spans || [],
+          cues: bestMatch.cues || [],
+          ...(bestMatch.distance !== undefined && { distance: bestMatch.distance }),
         });
       }
     }
@@ -117,56 +604,253 @@ class MLEngine {
   }
 
   /**
-   * Analyze individual term with multiple matching strategies
+   * Evaluate the entries' detection rules. A rule that holds is a match for
+   * its entry, replacing a weaker term match.
+   */
+  applyRules(state) {
+    const { rules } = this.compileWatchlist(state.watchlist);
+    if (rules.length === 0) return state.matches;
+
+    const env = this.getRuleEnv(state);
+    const matches = new Map(state.matches.map(match => [match.entryId, match]));
+
+    for (const { entry, rule, ast } of rules) {
+      const spans = DetectionRules.evaluate(ast, { ...env, events: entry.events });
+      if (!spans) continue;
+
+      const sensitivityWeight = SENSITIVITY_WEIGHTS[entry.sensitivity] || 1.0;
+      const match = {
+        term: entry.name,
+        entryId: entry.id,
+        category: entry.category,
+        matchedTerm: rule.expression,
+        termSource: 'rule',
+        matchType: 'rule',
+        confidence: Math.min(0.95, DetectionRules.CONFIDENCE * sensitivityWeight),
+        context: 'user_rule',
+        ruleId: rule.id,
+        spans: spans.map(({ start, end }) => ({ start, end })),
+        cues: [],
+      };
+
+      const existing = matches.get(entry.id);
+      if (!existing || match.confidence > existing.confidence) {
+        matches.set(entry.id, this.locateMatch(match, state.normalized, state.text));
+      }
+    }
+
+    return [...matches.values()];
+  }
+
+  /**
+   * What rules and allowlist contexts can look at: the text and where it
+   * was posted
+   */
+  getRuleEnv(state) {
+    return {
+      text: state.text,
+      normalized: state.normalized,
+      prepared: state.prepared,
+      platform: state.context.source || null,
+      field: state.context.field || null,
+      item: state.context.item || {},
+    };
+  }
+
+  /**
+   * Drop matches the user allowed, from the entry's own allowlist or the
+   * global one. Dropped matches keep the phrase that allowed them, for
+   * explanations.
+   */
+  applyAllowlist(state) {
+    const { allowlists } = this.compileWatchlist(state.watchlist);
+    const globalItems = this.getCompiledAllowlist();
+    const env = this.getRuleEnv(state);
+    const matches = [];
+    const suppressedMatches = [];
+
+    for (const match of state.matches) {
+      const allowed = Allowlist.findSuppressor(match, [...(allowlists.get(match.entryId) || []), ...globalItems], env);
+      if (allowed) {
+        suppressedMatches.push({ ...match, reason: 'allowlisted', allowlist: allowed });
+      } else {
+        matches.push(match);
+      }
+    }
+
+    return { matches, suppressedMatches };
+  }
+
+  getCompiledAllowlist() {
+    if (this.compiledAllowlist?.source !== this.allowlist) {
+      this.compiledAllowlist = { source: this.allowlist, items: Allowlist.compile(this.allowlist, 'global') };
+    }
+    return this.compiledAllowlist.items;
+  }
+
+  /**
+   * Map a match's spans and cues from prepared (normalized) text back to
+   * the original text, so the UI can highlight exactly what triggered it
    */
-  analyzeTerm(text, term, context) {
-    // 1. Exact match
-    if (text.includes(term)) {
+  locateMatch(match, normalized, text) {
+    const locate = ({ start, end }) => {
+      const range = TextNormalizer.toOriginalRange(normalized, start, end);
+      return { ...range, text: text.slice(range.start, range.end) };
+    };
+
+    const spans = (match.spans || [])
+      .map(locate)
+      .sort((a, b) => a.start - b.start)
+      .filter((span, index, all) => index === 0 || span.start !== all[index - 1].start);
+
+    return {
+      ...match,
+      spans,
+      cues: (match.cues || []).map(cue => ({ ...cue, ...locate(cue) })),
+    };
+  }
+
+  /**
+   * Apply per-entry progress markers to matches.
+   * Uses the raw text since episode references ("S2E7", "ch. 31") don't
+   * survive preprocessing intact. Only references near the entry's own
+   * mention count, so another show's episode doesn't decide this one.
+   */
+  applyProgress(matches, rawText, watchlist) {
+    const { entriesById } = this.compileWatchlist(watchlist);
+    const active = [];
+    const suppressedMatches = [];
+    let allSpans = null;
+    let references = null;
+
+    for (const match of matches) {
+      const entry = entriesById.get(match.entryId);
+      if (!entry || !ProgressTracker.hasProgress(entry.progress)) {
+        active.push(match);
+        continue;
+      }
+
+      // Built once, and only when some matched entry tracks progress
+      allSpans = allSpans || matches.flatMap(other => other.spans || []);
+      references = references || ProgressTracker.parseReferences(rawText);
+      const progress = ProgressTracker.evaluate(rawText, entry, { spans: match.spans || [], allSpans, references });
+
+      if (!progress) {
+        active.push(match);
+      } else if (progress.status === 'watched') {
+        suppressedMatches.push({
+          ...match,
+          reason: 'already_watched',
+          progressReference: progress.reference,
+        });
+      } else {
+        active.push({
+          ...match,
+          matchType: 'progress_ahead',
+          confidence: 0.95,
+          context: `ahead_of_progress_${ProgressTracker.formatProgress(entry.progress)}`,
+          progressReference: progress.reference,
+          hardBlock: true,
+        });
+      }
+    }
+
+    return { matches: active, suppressedMatches };
+  }
+
+  /**
+   * Attach the active release event to each match and derive the
+   * recency context used by calculateConfidence
+   */
+  applyReleaseWindows(matches, watchlist, now = new Date()) {
+    let recencyWeight = 0;
+
+    const annotated = matches.map(match => {
+      const entry = watchlist.find(item => item.id === match.entryId);
+      const { weight, event } = ReleaseCalendar.getRecency(entry, now, this.dangerWindow);
+      if (!event) return match;
+
+      recencyWeight = Math.max(recencyWeight, weight);
+      return {
+        ...match,
+        releaseEvent: { title: event.title, startsAt: event.startsAt, weight },
+      };
+    });
+
+    return {
+      matches: annotated,
+      temporalContext: recencyWeight > 0 ? { isRecent: true, recencyWeight } : {},
+    };
+  }
+
+  /**
+   * Analyze individual term with multiple matching strategies.
+   * All strategies work on whole tokens, never on substrings, and report
+   * the spans (offsets into prepared text) that triggered them.
+   * @param {Object} options - { exactSpans: precomputed exact-phrase hits }
+   */
+  analyzeTerm(prepared, term, context, options = {}) {
+    const compiled = Tokenizer.compileTerm(term);
+    if (compiled.tokens.length === 0) return { found: false };
+
+    // 1. Exact phrase match on word boundaries
+    // Cues near it are reported too; they keep a safe context from clearing it
+    const exactSpans = options.exactSpans ?? Tokenizer.findPhrase(prepared, compiled);
+    if (exactSpans.length > 0) {
+      const cues = context.cues || CuePacks.findCues(prepared, context.category);
+      const anchors = cues.length > 0
+        ? exactSpans.map(span => ({ ...span, ...Tokenizer.getTokenRange(prepared, span.start, span.end) }))
+        : [];
       return {
         found: true,
         type: 'exact',
         confidence: 0.95,
-        context: 'exact_match'
+        context: 'exact_match',
+        spans: exactSpans,
+        cues: this.describeCues(this.findNearbyCues(prepared, anchors, cues)),
       };
     }
 
     // 2. Fuzzy matching for single words
-    if (!term.includes(' ')) {
-      const fuzzyMatches = this.findFuzzyMatches(text, term);
+    if (compiled.tokens.length === 1) {
+      const fuzzyMatches = this.findFuzzyMatches(prepared, compiled);
       if (fuzzyMatches.length > 0) {
         return {
           found: true,
           type: 'fuzzy',
           confidence: 0.7,
-          context: 'single_word_fuzzy'
+          context: 'single_word_fuzzy',
+          spans: fuzzyMatches.flatMap(variation => Tokenizer.findToken(prepared, variation))
         };
       }
     }
 
     // 3. Multi-word term analysis
-    if (term.includes(' ')) {
-      const words = term.split(' ').filter(word => word.length > 2);
-      const foundWords = words.filter(word => text.includes(word));
+    if (compiled.tokens.length > 1) {
+      const words = compiled.tokens.filter(word => word.length > 2);
+      const foundWords = words.filter(word => Tokenizer.hasToken(prepared, word));
       
-      if (foundWords.length === words.length) {
+      if (words.length > 0 && foundWords.length === words.length) {
         return {
           found: true,
           type: 'multi_word_complete',
           confidence: 0.9,
-          context: 'all_words_found'
+          context: 'all_words_found',
+          spans: foundWords.flatMap(word => Tokenizer.findToken(prepared, word))
         };
-      } else if (foundWords.length >= Math.ceil(words.length * 0.7)) {
+      } else if (words.length > 0 && foundWords.length >= Math.ceil(words.length * 0.7)) {
         return {
           found: true,
           type: 'multi_word_partial',
           confidence: 0.6 + (foundWords.length / words.length * 0.2),
-          context: `partial_match_${foundWords.length}_of_${words.length}`
+          context: `partial_match_${foundWords.length}_of_${words.length}`,
+          spans: foundWords.flatMap(word => Tokenizer.findToken(prepared, word))
         };
       }
     }
 
     // 4. Contextual analysis (future: use NLP models)
-    const contextualMatch = this.analyzeContextualMatch(text, term, context);
+    const contextualMatch = this.analyzeContextualMatch(prepared, compiled, context);
     if (contextualMatch.found) {
       return contextualMatch;
     }
@@ -175,47 +859,95 @@ class MLEngine {
   }
 
   /**
-   * Find fuzzy matches for single words
+   * Find inflected forms of single common words ("dragon" -> "dragons").
+   * Acronyms and capitalized names are never inflected.
    */
-  findFuzzyMatches(text, term) {
+  findFuzzyMatches(prepared, compiled) {
+    if (compiled.caseSensitive || compiled.properNoun) return [];
+
+    const word = compiled.tokens[0];
+    if (word.length < 4) return [];
+
     const variations = [
-      term,
-      `${term}s`, // Plural
-      `${term}ed`, // Past tense
-      `${term}ing`, // Present participle
-      term.replace(/s$/, ''), // Remove trailing s
-    ];
+      `${word}s`, // Plural
+      `${word}es`, // Plural
+      `${word}ed`, // Past tense
+      `${word}ing`, // Present participle
+      word.replace(/s$/, ''), // Remove trailing s
+    ].filter(variation => variation !== word);
 
-    return variations.filter(variation => text.includes(variation));
+    return variations.filter(variation => Tokenizer.hasToken(prepared, variation));
   }
 
   /**
-   * Analyze contextual matches (future: use advanced NLP)
+   * Analyze contextual matches: cue words from the category's packs that
+   * appear within a few tokens of the entity
+   * (future: use advanced NLP)
    */
-  analyzeContextualMatch(text, term, context) {
-    // Future: Implement BERT-based contextual analysis
-    // For now, simple heuristics
-    
-    const spoilerKeywords = [
-      'spoiler', 'spoilers', 'ending', 'finale', 'dies', 'death',
-      'winner', 'wins', 'loses', 'result', 'results', 'outcome',
-      'plot', 'twist', 'reveal', 'revealed', 'leaked'
-    ];
-
-    const hasSpoilerKeywords = spoilerKeywords.some(keyword => 
-      text.includes(keyword)
-    );
+  analyzeContextualMatch(prepared, compiled, context) {
+    const cues = context.cues || CuePacks.findCues(prepared, context.category);
+    if (cues.length === 0) return { found: false };
 
-    if (hasSpoilerKeywords && text.includes(term.split(' ')[0])) {
-      return {
-        found: true,
-        type: 'contextual',
-        confidence: 0.5,
-        context: 'spoiler_keywords_present'
-      };
+    const firstWord = Tokenizer.compileTerm(compiled.sourceTokens[0]);
+    const anchors = Tokenizer.findPhrase(prepared, firstWord);
+    if (anchors.length === 0) return { found: false };
+
+    const nearby = this.findNearbyCues(prepared, anchors, cues);
+    if (nearby.length === 0) return { found: false };
+
+    // Strong cues (score lines, "killed off") count for more than generic words
+    const best = nearby.reduce((top, cue) => (cue.score > top.score ? cue : top));
+    return {
+      found: true,
+      type: 'contextual',
+      confidence: Math.round(Math.min(0.75, 0.5 * best.score) * 100) / 100,
+      context: `spoiler_cue_within_${best.distance}_tokens`,
+      distance: best.distance,
+      spans: [...new Set(nearby.map(cue => cue.anchor))].map(({ start, end }) => ({ start, end })),
+      cues: this.describeCues(nearby),
+    };
+  }
+
+  /**
+   * Pair each cue with its nearest mention of the entity, keeping those
+   * within the proximity window
+   * @param {Array} anchors - mentions, as token ranges in prepared text
+   */
+  findNearbyCues(prepared, anchors, cues) {
+    const nearby = [];
+
+    for (const cue of cues) {
+      const cueRange = Tokenizer.getTokenRange(prepared, cue.start, cue.end);
+      const candidates = anchors
+        .map(anchor => ({ anchor, distance: Tokenizer.getTokenDistance(anchor, cueRange) }))
+        .filter(({ distance }) => distance > 0); // A cue overlapping the entity is the entity itself
+      if (candidates.length === 0) continue;
+
+      const { anchor, distance } = candidates.reduce((closest, candidate) =>
+        (candidate.distance < closest.distance ? candidate : closest)
+      );
+      if (distance > this.proximity.window) continue;
+
+      nearby.push({ ...cue, anchor, distance, score: cue.weight * this.getProximityFactor(distance) });
     }
 
-    return { found: false };
+    return nearby;
+  }
+
+  describeCues(nearby) {
+    return nearby.map(({ text, label, pack, weight, distance, start, end }) => ({
+      text, label, pack, weight, distance, start, end,
+    }));
+  }
+
+  /**
+   * Full weight for adjacent cues, falling off linearly to
+   * proximity.minFactor at the edge of the window
+   */
+  getProximityFactor(distance) {
+    const { window, minFactor } = this.proximity;
+    if (distance <= 1 || window <= 1) return 1;
+    return 1 - ((distance - 1) / (window - 1)) * (1 - minFactor);
   }
 
   /**
@@ -224,26 +956,34 @@ class MLEngine {
   calculateConfidence(matches, text, context) {
     if (matches.length === 0) return 0;
 
-    // Base confidence from matches
+    // Content past the user's progress is always blocked
+    if (matches.some(match => match.hardBlock)) return 0.95;
+
+    // Base confidence from matches. Matches near "spoiler-free review" or
+    // "no spoilers please" count for less and don't add to the boost; when
+    // every match is in a safe context the whole score is lowered instead
+    const unsafe = matches.filter(match => !match.safeContext).length;
     let confidence = 0;
     let weightSum = 0;
 
     for (const match of matches) {
       const weight = this.contextWeights[context.type] || 1.0;
-      confidence += match.confidence * weight;
+      const dampening = match.safeContext && unsafe > 0 ? SafeContext.DAMPENING : 1;
+      confidence += match.confidence * dampening * weight;
       weightSum += weight;
     }
 
     confidence = weightSum > 0 ? confidence / weightSum : 0;
 
     // Boost confidence for multiple matches
-    if (matches.length > 1) {
-      confidence = Math.min(0.95, confidence + (matches.length - 1) * 0.1);
+    if (unsafe > 1) {
+      confidence = Math.min(0.95, confidence + (unsafe - 1) * 0.1);
     }
 
-    // Temporal boost (future: integrate with release calendars)
+    // Temporal boost, scaled by how deep we are into a release window
     if (context.isRecent) {
-      confidence = Math.min(0.95, confidence + 0.1);
+      const recencyWeight = context.recencyWeight ?? 1;
+      confidence = Math.min(0.95, confidence + this.dangerWindow.maxBoost * recencyWeight);
     }
 
     // Content type adjustments
@@ -251,33 +991,71 @@ class MLEngine {
       confidence = Math.min(0.95, confidence + 0.05);
     }
 
+    if (unsafe === 0) {
+      confidence *= SafeContext.DAMPENING;
+
+      // "No spoilers, but X dies": a title named next to a spoiler cue still
+      // flags, whatever the post claims
+      if (matches.some(match => match.matchType === 'exact' && match.cues?.length > 0)) {
+        confidence = Math.max(confidence, this.thresholds.low);
+      }
+    }
+
     return Math.round(confidence * 100) / 100; // Round to 2 decimal places
   }
 
   /**
-   * Create standardized result object
+   * Retrain everything that learns from feedback
    */
-  createResult(hasSpoiler, confidence, matches) {
-    return {
-      hasSpoiler,
-      confidence,
-      matchedTerms: matches.map(m => m.term),
-      detailedMatches: matches,
-      timestamp: new Date().toISOString(),
-      version: '1.0.0-rule-based'
-    };
+  train(examples) {
+    this.models.textClassifier.train(examples);
+    this.calibrator.fit(examples);
   }
 
   /**
-   * Update detection statistics
+   * Nudge confidence with the classifier trained on the user's feedback.
+   * Only matched content is adjusted, and never a progress hard block.
    */
-  async updateStats(hasSpoiler) {
-    const increment = {
-      postsScanned: 1,
-      spoilersBlocked: hasSpoiler ? 1 : 0
-    };
-    
-    await StorageService.updateStats(increment);
+  applyLearning(state) {
+    const classifier = this.models.textClassifier;
+    if (!classifier.isReady() || state.matches.length === 0) return;
+    if (state.matches.some(match => match.hardBlock)) return;
+
+    const probability = classifier.predict(state.prepared);
+    const strength = Math.min(1, classifier.getExampleCount() / this.learning.fullStrengthExamples);
+    const adjustment = Math.round(this.learning.maxAdjustment * strength * (probability - 0.5) * 2 * 100) / 100;
+
+    state.confidence = Math.round(Math.min(0.95, Math.max(0, state.confidence + adjustment)) * 100) / 100;
+    state.learning = { probability: Math.round(probability * 100) / 100, adjustment };
+  }
+
+  /**
+   * Turn the raw score into a calibrated probability. Progress hard blocks
+   * are rules, not estimates, and keep their score.
+   */
+  applyCalibration(state) {
+    state.rawConfidence = state.confidence;
+    if (!this.calibrator.isReady() || state.matches.some(match => match.hardBlock)) return;
+
+    state.confidence = this.calibrate(state.confidence);
+    state.calibration = this.getCalibrationInfo();
+  }
+
+  calibrate(confidence) {
+    return Math.round(this.calibrator.calibrate(confidence) * 100) / 100;
+  }
+
+  getCalibrationInfo() {
+    return this.calibrator.isReady()
+      ? { method: 'isotonic', examples: this.calibrator.exampleCount }
+      : null;
+  }
+
+  /**
+   * Create standardized result object
+   */
+  createResult(hasSpoiler, confidence, matches, suppressedMatches = []) {
+    return createDetectionResult({ hasSpoiler, confidence, matches, suppressedMatches });
   }
 
   /**
@@ -303,41 +1081,122 @@ class MLEngine {
   }
 
   /**
-   * Future: Batch analysis for feed optimization
+   * Batch analysis for feeds: the watchlist is loaded and compiled once for
+   * the whole batch
+   * @param {Array} contentItems - { text, context } or { item, context } for feed items
    */
   async batchAnalyze(contentItems) {
-    // TODO: Implement efficient batch processing
-    // - Vectorized operations
-    // - Parallel processing
-    // - Caching for repeated content
-    
+    await this.initialize();
+
+    const watchlist = await this.getWatchlist();
     const results = [];
-    for (const item of contentItems) {
-      const result = await this.analyzeText(item.text, item.context);
-      results.push(result);
+
+    for (const { text, item, context = {} } of contentItems) {
+      results.push(item
+        ? await this.runItem(item, context, watchlist)
+        : await this.runPipeline(text, context, watchlist)
+      );
     }
-    
+
+    if (watchlist.length > 0) {
+      results.forEach(result => StatsCollector.record(result));
+    }
+
     return results;
   }
 
+  /**
+   * Analyze each sentence of a text on its own, for masking only the
+   * sentences that give something away. Stats are left to the caller,
+   * which has already counted the item as a whole.
+   * @returns {Array<{text, start, end, result}>} result is null for blank pieces
+   */
+  async analyzeSentences(text, context = {}) {
+    await this.initialize();
+
+    const watchlist = await this.getWatchlist();
+    const sentences = [];
+
+    for (const sentence of splitSentences(text || '')) {
+      sentences.push({
+        ...sentence,
+        result: sentence.text.trim()
+          ? await this.runPipeline(sentence.text, context, watchlist, { cache: false })
+          : null,
+      });
+    }
+
+    return sentences;
+  }
+
+  /**
+   * Whether any of these texts carries a spoiler cue for the categories an
+   * item matched. A sentence like "Ned dies at the end." doesn't name the
+   * show, so it isn't flagged on its own, but it is the spoiler.
+   * @param {Object} result - the whole item's result
+   */
+  hasSpoilerCues(texts, result) {
+    const categories = [...new Set(result.matchedEntries.map(entry => entry.category))];
+
+    return texts.some(text => {
+      const prepared = Tokenizer.prepare(TextNormalizer.normalize(text).text);
+      const safeSpans = SafeContext.detect(prepared, this.safePhrases);
+      return categories.some(category => CuePacks.findCues(prepared, category)
+        .some(cue => !SafeContext.covers(safeSpans, cue.start, cue.end)));
+    });
+  }
+
+  /**
+   * Parse markdown and analyze each sentence of each block. Text behind
+   * spoiler tags is left out: the author already hid it.
+   * @param {Object} options - { detect: false to only parse, for rendering
+   *   spoiler tags when no sentence will be masked }
+   * @returns {Array} MarkdownParser blocks, each with segments
+   *   [{ children, text, result, masked }]
+   */
+  async analyzeMarkdown(markdown, context = {}, { detect = true } = {}) {
+    if (detect) await this.initialize();
+
+    const watchlist = detect ? await this.getWatchlist() : [];
+    const blocks = [];
+
+    for (const block of MarkdownParser.parse(markdown || '')) {
+      const groups = block.type === 'code' ? [block.children] : MarkdownParser.splitSentences(block.children);
+      const segments = [];
+
+      for (const children of groups) {
+        const text = MarkdownParser.toPlainText(children, { spoilers: false, urls: true });
+        const result = detect && text.trim()
+          ? await this.runPipeline(text, context, watchlist, { cache: false })
+          : null;
+        segments.push({ children, text, result, masked: !!result?.hasSpoiler });
+      }
+
+      blocks.push({ ...block, segments });
+    }
+
+    return blocks;
+  }
+
   /**
    * Get current model information
    */
   getModelInfo() {
     return {
       initialized: this.isInitialized,
-      version: '1.0.0-rule-based',
+      version: RESULT_VERSION,
+      stages: this.pipeline.getStageNames(),
       capabilities: {
         textAnalysis: true,
         imageAnalysis: false,
         contextualAnalysis: 'basic',
-        batchProcessing: false
+        batchProcessing: true,
+        onDeviceLearning: true
       },
       plannedUpgrades: {
         bertTextClassification: 'Phase 2',
         imageAnalysis: 'Phase 2',
-        advancedNLP: 'Phase 3',
-        customModelTraining: 'Phase 3'
+        advancedNLP: 'Phase 3'
       }
     };
   }
@@ -353,6 +1212,32 @@ class MLEngine {
     if (newConfig.contextWeights) {
       this.contextWeights = { ...this.contextWeights, ...newConfig.contextWeights };
     }
+
+    if (typeof newConfig.foldAccents === 'boolean') {
+      Tokenizer.setFoldAccents(newConfig.foldAccents);
+      this.compiledWatchlists = new WeakMap(); // Token keys changed
+      this.compiledAllowlist = null;
+    }
+
+    if (newConfig.safePhrases) {
+      this.safePhrases = newConfig.safePhrases;
+    }
+
+    if (newConfig.allowlist) {
+      this.allowlist = newConfig.allowlist;
+    }
+
+    if (newConfig.learning) {
+      this.learning = { ...this.learning, ...newConfig.learning };
+    }
+
+    if (newConfig.proximity) {
+      this.proximity = { ...this.proximity, ...newConfig.proximity };
+    }
+
+    if (newConfig.dangerWindow) {
+      this.dangerWindow = ReleaseCalendar.resolveWindow(newConfig.dangerWindow);
+    }
     
     console.log('[MLEngine] Configuration updated:', newConfig);
   }
@@ -0,0 +1,179 @@
+import { splitSentences } from '../utils/helpers';
+
+/**
+ * Markdown Parser
+ *
+ * The small subset of Reddit markdown the feed renders: headings, quotes,
+ * list items, code blocks and paragraphs, with links, bold, italic, inline
+ * code and spoiler tags inside them. Reddit's `>!text!<` and Discord's
+ * `||text||` both become spoiler nodes the author already hid.
+ */
+class MarkdownParser {
+  static INLINE_PATTERN = />!([\s\S]+?)!<|\|\|([\s\S]+?)\|\||\[([^\]]+)\]\(([^)\s]+)\)|\*\*([\s\S]+?)\*\*|`([^`]+)`|\*([^*\s][^*]*?)\*/g;
+
+  /**
+   * Split markdown into blocks
+   * @returns {Array<{type, level, marker, children}>} type is heading, quote,
+   *   listItem, code or paragraph; children are inline nodes
+   */
+  static parse(markdown = '') {
+    const blocks = [];
+    let paragraph = null;
+    let code = null;
+
+    const closeParagraph = () => {
+      if (paragraph) blocks.push(paragraph);
+      paragraph = null;
+    };
+
+    for (const line of markdown.replace(/\r\n?/g, '\n').split('\n')) {
+      if (code) {
+        if (/^\s*```/.test(line)) {
+          blocks.push({ type: 'code', children: [{ type: 'code', text: code.join('\n') }] });
+          code = null;
+        } else {
+          code.push(line);
+        }
+        continue;
+      }
+
+      if (/^\s*```/.test(line)) {
+        closeParagraph();
+        code = [];
+        continue;
+      }
+
+      if (!line.trim() || /^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+        closeParagraph();
+        continue;
+      }
+
+      const heading = line.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+      if (heading) {
+        closeParagraph();
+        blocks.push({ type: 'heading', level: heading[1].length, children: this.parseInline(heading[2]) });
+        continue;
+      }
+
+      // ">!" opens a spoiler tag, not a quote
+      const quote = line.match(/^\s*>(?!!)\s?(.*)$/);
+      if (quote) {
+        if (paragraph?.type !== 'quote') {
+          closeParagraph();
+          paragraph = { type: 'quote', text: '' };
+        }
+        paragraph.text = paragraph.text ? `${paragraph.text} ${quote[1]}` : quote[1];
+        continue;
+      }
+
+      const item = line.match(/^(\s*)([-*+]|\d+[.)])\s+(.*)$/);
+      if (item) {
+        closeParagraph();
+        blocks.push({
+          type: 'listItem',
+          level: Math.floor(item[1].length / 2),
+          marker: /\d/.test(item[2]) ? item[2] : '•',
+          children: this.parseInline(item[3]),
+        });
+        continue;
+      }
+
+      if (paragraph?.type !== 'paragraph') {
+        closeParagraph();
+        paragraph = { type: 'paragraph', text: '' };
+      }
+      paragraph.text = paragraph.text ? `${paragraph.text} ${line.trim()}` : line.trim();
+    }
+
+    closeParagraph();
+    if (code) blocks.push({ type: 'code', children: [{ type: 'code', text: code.join('\n') }] });
+
+    // Quotes and paragraphs collect lines first, so spoiler tags may span them
+    return blocks.map(block => (block.text === undefined
+      ? block
+      : { type: block.type, children: this.parseInline(block.text) }
+    ));
+  }
+
+  /**
+   * Inline nodes: text, spoiler, link, strong, em and code
+   */
+  static parseInline(text = '') {
+    const nodes = [];
+    let last = 0;
+
+    for (const match of text.matchAll(this.INLINE_PATTERN)) {
+      if (match.index > last) nodes.push({ type: 'text', text: text.slice(last, match.index) });
+      const [, reddit, discord, linkText, url, strong, code, em] = match;
+
+      if (reddit !== undefined || discord !== undefined) {
+        nodes.push({ type: 'spoiler', children: this.parseInline(reddit ?? discord) });
+      } else if (linkText !== undefined) {
+        nodes.push({ type: 'link', url, children: this.parseInline(linkText) });
+      } else if (strong !== undefined) {
+        nodes.push({ type: 'strong', children: this.parseInline(strong) });
+      } else if (code !== undefined) {
+        nodes.push({ type: 'code', text: code });
+      } else {
+        nodes.push({ type: 'em', children: this.parseInline(em) });
+      }
+      last = match.index + match[0].length;
+    }
+
+    if (last < text.length) nodes.push({ type: 'text', text: text.slice(last) });
+    return nodes;
+  }
+
+  /**
+   * Visible text of inline nodes
+   * @param {Object} options - { spoilers: keep spoiler-tag text, urls: append
+   *   link targets (their slugs often say what happened) }
+   */
+  static toPlainText(nodes = [], { spoilers = true, urls = false } = {}) {
+    return nodes.map(node => {
+      if (node.type === 'text' || node.type === 'code') return node.text;
+      if (node.type === 'spoiler' && !spoilers) return ' ';
+
+      const text = this.toPlainText(node.children, { spoilers, urls });
+      return node.type === 'link' && urls ? `${text} (${node.url})` : text;
+    }).join('');
+  }
+
+  /**
+   * Markdown as plain text for detection, leaving out what the author
+   * already put behind spoiler tags
+   */
+  static stripMarkup(markdown = '') {
+    return this.parse(markdown)
+      .map(block => this.toPlainText(block.children, { spoilers: false, urls: true }))
+      .join('\n');
+  }
+
+  /**
+   * Group a block's inline nodes into sentences, so detection can hide one
+   * sentence of a paragraph. Only top-level text is split; links and
+   * emphasis stay inside the sentence they start in.
+   * @returns {Array<Array>} inline nodes per sentence
+   */
+  static splitSentences(nodes = []) {
+    const sentences = [[]];
+
+    for (const node of nodes) {
+      if (node.type !== 'text') {
+        sentences[sentences.length - 1].push(node);
+        continue;
+      }
+
+      const pieces = splitSentences(node.text);
+      pieces.forEach((piece, index) => {
+        sentences[sentences.length - 1].push({ type: 'text', text: piece.text });
+        // A piece that ends in a sentence boundary closes the sentence
+        if (index < pieces.length - 1 || /[.!?…]["'”’)\]]*\s*$/.test(piece.text)) sentences.push([]);
+      });
+    }
+
+    return sentences.filter(sentence => sentence.length > 0);
+  }
+}
+
+export default MarkdownParser;
@@ -0,0 +1,107 @@
+import Tokenizer from './Tokenizer';
+
+/**
+ * Phrase Matcher
+ *
+ * Aho-Corasick automaton over token keys. All watchlist phrases are found
+ * in one pass over a post's tokens instead of one scan per term.
+ */
+class PhraseMatcher {
+  /**
+   * @param {Array<{term, compiled?, payload?}>} patterns - phrases to find;
+   *   `compiled` defaults to Tokenizer.compileTerm(term)
+   */
+  constructor(patterns = []) {
+    this.patterns = [];
+    this.nodes = [{ next: new Map(), fail: 0, outputs: [] }];
+
+    patterns.forEach(pattern => this.add(pattern));
+    this.build();
+  }
+
+  add({ term, compiled = Tokenizer.compileTerm(term), payload = null }) {
+    if (compiled.tokens.length === 0) return;
+
+    const id = this.patterns.length;
+    this.patterns.push({ term, compiled, payload });
+
+    let node = 0;
+    for (const key of compiled.tokens) {
+      let child = this.nodes[node].next.get(key);
+      if (child === undefined) {
+        child = this.nodes.length;
+        this.nodes.push({ next: new Map(), fail: 0, outputs: [] });
+        this.nodes[node].next.set(key, child);
+      }
+      node = child;
+    }
+    this.nodes[node].outputs.push(id);
+  }
+
+  /**
+   * Breadth-first pass to set failure links and merge outputs
+   */
+  build() {
+    const queue = [...this.nodes[0].next.values()];
+
+    while (queue.length > 0) {
+      const current = queue.shift();
+
+      for (const [key, child] of this.nodes[current].next) {
+        let fail = this.nodes[current].fail;
+        while (fail !== 0 && !this.nodes[fail].next.has(key)) {
+          fail = this.nodes[fail].fail;
+        }
+        const target = this.nodes[fail].next.get(key);
+        this.nodes[child].fail = target !== undefined && target !== child ? target : 0;
+        this.nodes[child].outputs.push(...this.nodes[this.nodes[child].fail].outputs);
+        queue.push(child);
+      }
+    }
+  }
+
+  /**
+   * Find every pattern occurrence in prepared text
+   * @returns {Array<{pattern, start, end, tokenStart, tokenEnd}>}
+   */
+  match(prepared) {
+    const results = [];
+    let node = 0;
+
+    prepared.tokens.forEach((token, index) => {
+      while (node !== 0 && !this.nodes[node].next.has(token.lower)) {
+        node = this.nodes[node].fail;
+      }
+      node = this.nodes[node].next.get(token.lower) ?? 0;
+
+      for (const id of this.nodes[node].outputs) {
+        const pattern = this.patterns[id];
+        const length = pattern.compiled.tokens.length;
+        const tokenStart = index - length + 1;
+
+        // Acronyms ("GOT") are case-sensitive; the automaton runs on lowercase keys
+        if (pattern.compiled.caseSensitive && !this.matchesCase(prepared, pattern.compiled, tokenStart)) {
+          continue;
+        }
+
+        results.push({
+          pattern,
+          start: prepared.tokens[tokenStart].start,
+          end: token.end,
+          tokenStart,
+          tokenEnd: index,
+        });
+      }
+    });
+
+    return results;
+  }
+
+  matchesCase(prepared, compiled, tokenStart) {
+    return compiled.tokens.every((_, offset) =>
+      Tokenizer.tokenEquals(prepared.tokens[tokenStart + offset], compiled, offset)
+    );
+  }
+}
+
+export default PhraseMatcher;
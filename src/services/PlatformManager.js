@@ -8,6 +8,8 @@ import TwitterAPI from './TwitterAPI';
 import YouTubeAPI from './YouTubeAPI';
 import NewsAPI from './NewsAPI';
 import SocialMediaAPI from './SocialMediaAPI';
+import TimeShiftService from './TimeShiftService';
+import MLEngine from './MLEngine';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 
 class PlatformManager {
@@ -376,13 +378,40 @@ class PlatformManager {
       return new Date(dateB) - new Date(dateA);
     });
 
+    // Mask anything published after a delayed viewing start
+    const timeShiftedFeed = await TimeShiftService.annotateItems(unifiedFeed);
+    const feed = await this.analyzeFeed(timeShiftedFeed);
+
     return {
-      feed: unifiedFeed,
+      feed,
       platformResults: allContent,
       totalItems: unifiedFeed.length
     };
   }
 
+  /**
+   * Analyze every feed item in one batch, so each platform's own signals
+   * (Twitter topics and hashtags, YouTube tags, Reddit flairs) count
+   */
+  async analyzeFeed(items) {
+    let analyses;
+
+    try {
+      analyses = await MLEngine.batchAnalyze(
+        items.map(item => ({ item, context: { source: item.platform } }))
+      );
+    } catch (error) {
+      console.error('[PlatformManager] Feed analysis failed:', error);
+      analyses = items.map(() => MLEngine.createResult(false, 0, []));
+    }
+
+    return items.map((item, index) => ({
+      ...item,
+      spoilerAnalysis: analyses[index],
+      isProtected: analyses[index].hasSpoiler
+    }));
+  }
+
   /**
    * Configure platform credentials
    */
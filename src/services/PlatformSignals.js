@@ -0,0 +1,150 @@
+import WatchlistService from './WatchlistService';
+import Tokenizer from './Tokenizer';
+import SafeContext from './SafeContext';
+
+/**
+ * Platform Signals
+ *
+ * Reads spoiler hints the platforms already provide: Reddit's spoiler flag
+ * and flairs, Twitter topic annotations and YouTube tags. Explicit signals
+ * (the author marked it as a spoiler) block on their own; spoiler-prone ones
+ * ("Post-Race", "Episode Discussion") strengthen a watchlist match.
+ */
+class PlatformSignals {
+  static EXPLICIT_MARKERS = ['spoiler', 'spoilers'];
+
+  static SPOILER_PRONE_MARKERS = [
+    'post race',
+    'race results',
+    'qualifying results',
+    'episode discussion',
+    'finale discussion',
+    'chapter discussion',
+    'match thread',
+    'post match',
+    'full time',
+    'highlights',
+    'ending explained',
+  ];
+
+  static STRENGTH = {
+    explicit: 0.95,
+    topic: 0.85,
+    spoilerProne: 0.85,
+  };
+
+  /**
+   * Collect all signals for a feed item
+   * @returns {Array<{platform, kind, strength, value, label, entryId?}>}
+   */
+  static extract(item, watchlist = []) {
+    if (!item) return [];
+
+    return [
+      ...this.getRedditSignals(item),
+      ...this.getTwitterSignals(item, watchlist),
+      ...this.getYouTubeSignals(item),
+    ];
+  }
+
+  static getRedditSignals(item) {
+    const signals = [];
+
+    if (item.isSpoiler) {
+      signals.push({
+        platform: 'reddit',
+        kind: 'explicit',
+        strength: this.STRENGTH.explicit,
+        value: 'spoiler',
+        label: 'Marked as a spoiler on Reddit',
+      });
+    }
+
+    const flair = item.flair || item.analysisContent?.flair;
+    const kind = this.classifyMarker(flair);
+    if (kind) {
+      signals.push({
+        platform: 'reddit',
+        kind,
+        strength: this.STRENGTH[kind],
+        value: flair,
+        label: `Flair: ${flair}`,
+      });
+    }
+
+    return signals;
+  }
+
+  /**
+   * Twitter topic annotations naming one of the watchlist entries
+   */
+  static getTwitterSignals(item, watchlist) {
+    const annotations = item.contextAnnotations || [];
+    const signals = [];
+
+    for (const entry of watchlist) {
+      const annotation = annotations.find(({ entity }) =>
+        entity?.name && WatchlistService.getSearchTerms(entry)
+          .some(({ term }) => Tokenizer.containsPhrase(entity.name, term))
+      );
+
+      if (annotation) {
+        signals.push({
+          platform: 'twitter',
+          kind: 'topic',
+          strength: this.STRENGTH.topic,
+          value: annotation.entity.name,
+          label: `Twitter topic: ${annotation.entity.name}`,
+          entryId: entry.id,
+        });
+      }
+    }
+
+    return signals;
+  }
+
+  static getYouTubeSignals(item) {
+    const tags = item.tags || (item.analysisContent?.type === 'video' ? item.analysisContent.tags : null) || [];
+    const signals = [];
+
+    for (const tag of tags) {
+      const kind = this.classifyMarker(tag);
+      if (!kind || signals.some(signal => signal.kind === kind)) continue;
+
+      signals.push({
+        platform: 'youtube',
+        kind,
+        strength: this.STRENGTH[kind],
+        value: tag,
+        label: `Tagged "${tag}" on YouTube`,
+      });
+    }
+
+    return signals;
+  }
+
+  /**
+   * Classify a flair or tag as 'explicit', 'spoilerProne' or null.
+   * "No Spoilers" and "Spoiler-Free" say the opposite, so a marker inside a
+   * safe context doesn't count.
+   */
+  static classifyMarker(value) {
+    if (!value || typeof value !== 'string') return null;
+
+    const prepared = Tokenizer.prepare(value);
+    const safeSpans = SafeContext.detect(prepared);
+    const explicit = this.EXPLICIT_MARKERS.some(marker =>
+      Tokenizer.findPhrase(prepared, Tokenizer.compileTerm(marker))
+        .some(({ start, end }) => !SafeContext.covers(safeSpans, start, end))
+    );
+    if (explicit) {
+      return 'explicit';
+    }
+    if (this.SPOILER_PRONE_MARKERS.some(marker => Tokenizer.containsPhrase(prepared, marker))) {
+      return 'spoilerProne';
+    }
+    return null;
+  }
+}
+
+export default PlatformSignals;
@@ -0,0 +1,208 @@
+/**
+ * Progress Tracker
+ *
+ * Parses episode/season/chapter references out of text and compares them to
+ * how far the user has watched or read, so already-seen content can pass and
+ * content about later episodes is always blocked.
+ */
+class ProgressTracker {
+  // Full season+episode references, checked before the looser patterns
+  static EPISODE_PATTERNS = [
+    /\bs(\d{1,2})\s*e(\d{1,3})\b/gi, // S2E7, S02E07, s2 e7
+    /\b(\d{1,2})x(\d{2})\b/gi, // 2x07, 1x10; "4x4" and "2x100" aren't episodes
+    /\bseason\s*(\d{1,2})[\s,:-]*(?:episode|ep\.?)\s*#?(\d{1,3})\b/gi,
+  ];
+
+  static EPISODE_ONLY_PATTERN = /\b(?:episode|ep\.?)\s*#?(\d{1,3})\b/gi;
+  static SEASON_ONLY_PATTERN = /\bseason\s*(\d{1,2})\b/gi;
+  static CHAPTER_PATTERN = /\b(?:chapter|ch\.)\s*#?(\d{1,4})\b/gi;
+
+  // Phrases that always point past the user's current position
+  static UPCOMING_PATTERN = /\b(?:next|upcoming|tomorrow'?s?)\s+(?:week'?s?\s+)?(?:episode|ep|chapter|finale)\b/i;
+
+  // How far (in characters, about a dozen words) a reference may sit from a
+  // title and still be about it
+  static REFERENCE_WINDOW = 80;
+
+  /**
+   * Extract all progress references from raw text, with their offsets
+   */
+  static parseReferences(text) {
+    const references = [];
+    if (!text || typeof text !== 'string') return references;
+
+    // Blank out consumed ranges so "season 2 episode 7" isn't also read as "episode 7"
+    let remaining = text;
+    const consume = (match) => {
+      remaining = remaining.slice(0, match.index) +
+        ' '.repeat(match[0].length) +
+        remaining.slice(match.index + match[0].length);
+    };
+
+    for (const pattern of this.EPISODE_PATTERNS) {
+      for (const match of [...remaining.matchAll(pattern)]) {
+        references.push({
+          type: 'episode',
+          season: parseInt(match[1], 10),
+          episode: parseInt(match[2], 10),
+          text: match[0],
+          ...this.getRange(match),
+        });
+        consume(match);
+      }
+    }
+
+    for (const match of [...remaining.matchAll(this.EPISODE_ONLY_PATTERN)]) {
+      references.push({
+        type: 'episode',
+        season: null,
+        episode: parseInt(match[1], 10),
+        text: match[0],
+        ...this.getRange(match),
+      });
+      consume(match);
+    }
+
+    for (const match of [...remaining.matchAll(this.SEASON_ONLY_PATTERN)]) {
+      references.push({ type: 'season', season: parseInt(match[1], 10), text: match[0], ...this.getRange(match) });
+    }
+
+    for (const match of [...text.matchAll(this.CHAPTER_PATTERN)]) {
+      references.push({ type: 'chapter', chapter: parseInt(match[1], 10), text: match[0], ...this.getRange(match) });
+    }
+
+    const upcoming = text.match(this.UPCOMING_PATTERN);
+    if (upcoming) {
+      references.push({ type: 'upcoming', text: upcoming[0], ...this.getRange(upcoming) });
+    }
+
+    return references;
+  }
+
+  static getRange(match) {
+    return { start: match.index, end: match.index + match[0].length };
+  }
+
+  /**
+   * Characters between a reference and the closest of some spans
+   */
+  static getDistance(reference, spans) {
+    return Math.min(...spans.map(span => Math.max(0, span.start - reference.end, reference.start - span.end)));
+  }
+
+  /**
+   * Whether a reference is about the entry mentioned at `spans`: within
+   * REFERENCE_WINDOW of a mention, and no closer to another matched title
+   * ("waiting for Stranger Things S5E1" isn't about House of the Dragon)
+   * @param {Array} allSpans - every matched title's mentions, these included
+   */
+  static belongsTo(reference, spans, allSpans = []) {
+    const distance = this.getDistance(reference, spans);
+    if (distance > this.REFERENCE_WINDOW) return false;
+    return allSpans.length === 0 || distance <= this.getDistance(reference, allSpans);
+  }
+
+  /**
+   * Compare a single reference to the stored progress
+   * @returns {'ahead'|'watched'|null} null when the reference says nothing useful
+   */
+  static compareReference(reference, progress) {
+    const hasEpisodes = progress.episode != null;
+    const hasChapters = progress.chapter != null;
+
+    switch (reference.type) {
+      case 'upcoming':
+        return 'ahead';
+
+      case 'episode': {
+        if (!hasEpisodes) return null;
+        const season = reference.season ?? progress.season ?? 1;
+        const currentSeason = progress.season ?? 1;
+        if (season !== currentSeason) return season > currentSeason ? 'ahead' : 'watched';
+        return reference.episode > progress.episode ? 'ahead' : 'watched';
+      }
+
+      case 'season': {
+        if (!hasEpisodes || progress.season == null) return null;
+        if (reference.season > progress.season) return 'ahead';
+        if (reference.season < progress.season) return 'watched';
+        return null; // Same season: can't tell which episode
+      }
+
+      case 'chapter':
+        if (!hasChapters) return null;
+        return reference.chapter > progress.chapter ? 'ahead' : 'watched';
+
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Evaluate text against an entry's progress marker
+   * @param {Object} options - { spans: where the entry is mentioned,
+   *   allSpans: where every matched entry is, references: parsed once by
+   *   the caller for several entries }. Without spans every reference in
+   *   the text counts.
+   * @returns {Object|null} { status: 'ahead'|'watched', reference } or null
+   */
+  static evaluate(text, entry, { spans = [], allSpans = [], references } = {}) {
+    if (!entry || !this.hasProgress(entry.progress)) return null;
+
+    let watchedReference = null;
+    const nearby = (references || this.parseReferences(text))
+      .filter(reference => spans.length === 0 || this.belongsTo(reference, spans, allSpans));
+
+    for (const reference of nearby) {
+      const status = this.compareReference(reference, entry.progress);
+      if (status === 'ahead') {
+        return { status, reference: reference.text };
+      }
+      if (status === 'watched' && !watchedReference) {
+        watchedReference = reference.text;
+      }
+    }
+
+    return watchedReference ? { status: 'watched', reference: watchedReference } : null;
+  }
+
+  /**
+   * Normalize a progress marker from user input or storage
+   */
+  static normalizeProgress(progress) {
+    if (!progress || typeof progress !== 'object') return null;
+
+    const toNumber = (value) => {
+      const number = parseInt(value, 10);
+      return Number.isFinite(number) && number >= 0 ? number : null;
+    };
+
+    const normalized = {
+      season: toNumber(progress.season),
+      episode: toNumber(progress.episode),
+      chapter: toNumber(progress.chapter),
+      updatedAt: progress.updatedAt || new Date().toISOString(),
+    };
+
+    return this.hasProgress(normalized) ? normalized : null;
+  }
+
+  static hasProgress(progress) {
+    return !!progress && (progress.episode != null || progress.chapter != null);
+  }
+
+  /**
+   * Short label for display, e.g. "S2E5" or "Ch. 30"
+   */
+  static formatProgress(progress) {
+    if (!this.hasProgress(progress)) return '';
+    if (progress.episode != null) {
+      return progress.season != null
+        ? `S${progress.season}E${progress.episode}`
+        : `Ep. ${progress.episode}`;
+    }
+    return `Ch. ${progress.chapter}`;
+  }
+}
+
+export default ProgressTracker;
@@ -1,3 +1,5 @@
+import MarkdownParser from './MarkdownParser';
+
 /**
  * Reddit API Service
  * Handles fetching content from Reddit with proper rate limiting and error handling
@@ -380,10 +382,10 @@ class RedditAPI {
       // Awards (simplified)
       awards: postData.total_awards_received || 0,
       
-      // For ML analysis
+      // For ML analysis (text behind spoiler tags is already hidden)
       analysisContent: {
         title: postData.title,
-        body: postData.selftext || '',
+        body: MarkdownParser.stripMarkup(postData.selftext || ''),
         subreddit: postData.subreddit,
         flair: postData.link_flair_text || '',
         author: postData.author
@@ -411,7 +413,7 @@ class RedditAPI {
       
       // For ML analysis
       analysisContent: {
-        body: commentData.body,
+        body: MarkdownParser.stripMarkup(commentData.body || ''),
         author: commentData.author,
         type: 'comment'
       },
@@ -0,0 +1,137 @@
+import uuid from 'react-native-uuid';
+import bundledCalendar from '../data/releaseCalendar.json';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * Release Calendar
+ *
+ * Per-entry air dates, race starts and kickoffs. Around each event there is
+ * a "danger window" in which spoilers are far more likely, so detection
+ * sensitivity is raised and then decays over the following days.
+ */
+class ReleaseCalendar {
+  static EVENT_TYPES = ['episode', 'race', 'match', 'release', 'other'];
+
+  static DEFAULT_WINDOW = {
+    hoursBefore: 6, // Raise sensitivity ahead of the event (leaks, grid news)
+    fullStrengthHours: 24, // Full boost for the first day after the start
+    decayDays: 3, // Then fade back to normal over a few days
+    maxBoost: 0.1,
+  };
+
+  static WINDOW_PRESETS = {
+    tight: { label: 'Tight', hoursBefore: 2, fullStrengthHours: 12, decayDays: 1, maxBoost: 0.1 },
+    standard: { label: 'Standard', ...ReleaseCalendar.DEFAULT_WINDOW },
+    extended: { label: 'Extended', hoursBefore: 24, fullStrengthHours: 48, decayDays: 7, maxBoost: 0.15 },
+  };
+
+  /**
+   * Normalize a single event, returning null when the date is unusable
+   */
+  static normalizeEvent(event) {
+    if (!event || !event.startsAt) return null;
+
+    const startsAt = new Date(event.startsAt);
+    if (isNaN(startsAt.getTime())) return null;
+
+    return {
+      id: event.id || uuid.v4(),
+      title: (event.title || 'Event').trim(),
+      startsAt: startsAt.toISOString(),
+      type: this.EVENT_TYPES.includes(event.type) ? event.type : 'other',
+    };
+  }
+
+  static normalizeEvents(events) {
+    if (!Array.isArray(events)) return [];
+    return events
+      .map(event => this.normalizeEvent(event))
+      .filter(Boolean)
+      .sort((a, b) => new Date(a.startsAt) - new Date(b.startsAt));
+  }
+
+  /**
+   * Merge new events into an existing list, skipping duplicates
+   * (same title and start time)
+   */
+  static mergeEvents(existing = [], incoming = []) {
+    const key = (event) => `${event.title.toLowerCase()}|${event.startsAt}`;
+    const seen = new Set(existing.map(key));
+    const added = [];
+
+    for (const event of this.normalizeEvents(incoming)) {
+      if (seen.has(key(event))) continue;
+      seen.add(key(event));
+      added.push(event);
+    }
+
+    return {
+      events: this.normalizeEvents([...existing, ...added]),
+      addedCount: added.length,
+    };
+  }
+
+  /**
+   * Weight (0-1) of a single event at the given time
+   */
+  static getEventWeight(event, now = new Date(), window = this.DEFAULT_WINDOW) {
+    const elapsed = now.getTime() - new Date(event.startsAt).getTime();
+
+    if (elapsed < -window.hoursBefore * HOUR_MS) return 0;
+
+    const fullStrength = window.fullStrengthHours * HOUR_MS;
+    if (elapsed <= fullStrength) return 1;
+
+    const decay = window.decayDays * DAY_MS;
+    if (decay <= 0) return 0;
+
+    return Math.max(0, 1 - (elapsed - fullStrength) / decay);
+  }
+
+  /**
+   * Strongest danger-window weight across an entry's events
+   * @returns {{ weight: number, event: Object|null }}
+   */
+  static getRecency(entry, now = new Date(), window = this.DEFAULT_WINDOW) {
+    let best = { weight: 0, event: null };
+
+    for (const event of entry?.events || []) {
+      const weight = this.getEventWeight(event, now, window);
+      if (weight > best.weight) {
+        best = { weight, event };
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Next events for an entry, soonest first
+   */
+  static getUpcomingEvents(entry, now = new Date(), limit = 3) {
+    return (entry?.events || [])
+      .filter(event => new Date(event.startsAt) >= now)
+      .slice(0, limit);
+  }
+
+  /**
+   * Resolve a danger window from a preset name or partial config
+   */
+  static resolveWindow(config) {
+    if (typeof config === 'string') {
+      return { ...this.DEFAULT_WINDOW, ...(this.WINDOW_PRESETS[config] || {}) };
+    }
+    return { ...this.DEFAULT_WINDOW, ...(config || {}) };
+  }
+
+  /**
+   * Calendar bundled with the app, available offline
+   */
+  static getBundledCalendar() {
+    return bundledCalendar;
+  }
+}
+
+export default ReleaseCalendar;
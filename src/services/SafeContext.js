@@ -0,0 +1,133 @@
+import Tokenizer from './Tokenizer';
+import TextNormalizer from './TextNormalizer';
+
+/**
+ * Safe Context
+ *
+ * Finds "spoiler-free" markers, negated spoiler words ("no spoilers",
+ * "won't spoil") and the user's own safe phrases. Cues inside these spans
+ * are ignored, and matches near them score lower.
+ */
+class SafeContext {
+  static SPOILER_FREE_MARKERS = [
+    'spoiler free',
+    'spoilers free',
+    'spoilerfree',
+    'spoilerless',
+    'non spoiler',
+    'non spoilers',
+    'no spoiler',
+    'no spoilers',
+    'without spoilers',
+  ];
+
+  static NEGATIONS = ['no', 'not', 'never', 'without', "don't", 'dont', "won't", 'wont', "isn't", "aren't", "doesn't"];
+  static SPOILER_WORDS = ['spoiler', 'spoilers', 'spoil', 'spoils', 'spoiling', 'spoiled', 'spoilt'];
+  static NEGATION_WINDOW = 3;
+
+  // Content in a safe context keeps this share of its confidence
+  static DAMPENING = 0.3;
+
+  // How many tokens away a safe span still vouches for a match: "no
+  // spoilers" in the title says nothing about the body's last paragraph
+  static SCOPE_WINDOW = 8;
+
+  /**
+   * Find safe spans in prepared text
+   * @param {Array<string>} customPhrases - user-configured safe phrases
+   * @returns {Array<{phrase, reason, start, end, tokenStart, tokenEnd}>}
+   */
+  static detect(prepared, customPhrases = []) {
+    const spans = [];
+
+    const addPhrases = (phrases, reason) => {
+      for (const phrase of phrases) {
+        if (!phrase || !phrase.trim()) continue;
+        for (const found of Tokenizer.findPhrase(prepared, Tokenizer.compileTerm(phrase.trim()))) {
+          spans.push({ phrase: prepared.raw.slice(found.start, found.end), reason, ...found });
+        }
+      }
+    };
+
+    addPhrases(this.SPOILER_FREE_MARKERS, 'spoiler_free_marker');
+    addPhrases(customPhrases, 'safe_phrase');
+
+    // "not going to spoil", "no major spoilers"
+    prepared.tokens.forEach((token, index) => {
+      if (!this.SPOILER_WORDS.includes(token.lower)) return;
+      if (spans.some(span => index >= span.tokenStart && index <= span.tokenEnd)) return;
+
+      for (let back = 1; back <= this.NEGATION_WINDOW && index - back >= 0; back++) {
+        const candidate = prepared.tokens[index - back];
+        // "No way! Huge spoiler" - a negation doesn't reach past the sentence
+        const gap = prepared.raw.slice(candidate.end, prepared.tokens[index - back + 1].start);
+        if (/[.!?;]/.test(gap)) break;
+
+        if (this.NEGATIONS.includes(candidate.text.toLowerCase())) {
+          spans.push({
+            phrase: prepared.raw.slice(candidate.start, token.end),
+            reason: 'negated_spoiler',
+            start: candidate.start,
+            end: token.end,
+            tokenStart: index - back,
+            tokenEnd: index,
+          });
+          break;
+        }
+      }
+    });
+
+    return spans.sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * Whether a character range falls inside any safe span
+   */
+  static covers(spans, start, end) {
+    return spans.some(span => start < span.end && end > span.start);
+  }
+
+  /**
+   * Safe spans within SCOPE_WINDOW tokens of a range of prepared text
+   */
+  static findNear(prepared, spans, start, end) {
+    const range = Tokenizer.getTokenRange(prepared, start, end);
+    return spans.filter(span => Tokenizer.getTokenDistance(range, span) <= this.SCOPE_WINDOW);
+  }
+
+  /**
+   * Mark matches whose spans or cues sit near a safe span with the reason.
+   * Matches past the user's progress still block, so they are left alone,
+   * and so are matches without a position (metadata-only rules).
+   * @param {Object} normalized - to map the matches' original-text offsets
+   *   onto the prepared text the spans refer to
+   */
+  static annotateMatches(matches, spans, prepared, normalized) {
+    if (!spans || spans.length === 0) return matches;
+
+    return matches.map(match => {
+      if (match.hardBlock) return match;
+
+      // An exact title is the evidence on its own; its cues only add to it
+      const evidence = match.matchType === 'exact'
+        ? match.spans || []
+        : [...(match.spans || []), ...(match.cues || [])];
+
+      const near = new Set();
+      for (const { start, end } of evidence) {
+        const range = TextNormalizer.toPreparedRange(normalized, start, end);
+        this.findNear(prepared, spans, range.start, range.end).forEach(span => near.add(span));
+      }
+      if (near.size === 0) return match;
+
+      const safeContext = spans.filter(span => near.has(span));
+      return {
+        ...match,
+        reason: safeContext[0].reason,
+        safeContext: safeContext.map(({ phrase, reason }) => ({ phrase, reason })),
+      };
+    });
+  }
+}
+
+export default SafeContext;
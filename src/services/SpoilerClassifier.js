@@ -0,0 +1,96 @@
+import Tokenizer from './Tokenizer';
+import TextNormalizer from './TextNormalizer';
+
+/**
+ * Spoiler Classifier
+ *
+ * Naive Bayes over the words of posts the user revealed, kept hidden or
+ * reported. Trained on device from FeedbackService examples; each word
+ * counts once per post and examples carry their action's weight.
+ */
+class SpoilerClassifier {
+  static LABELS = ['spoiler', 'safe'];
+  static MIN_EXAMPLES_PER_LABEL = 3;
+
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.docCounts = { spoiler: 0, safe: 0 };
+    this.tokenCounts = { spoiler: new Map(), safe: new Map() };
+    this.tokenTotals = { spoiler: 0, safe: 0 };
+    this.examplesByLabel = { spoiler: 0, safe: 0 };
+    this.vocabulary = new Set();
+    this.version = '0';
+  }
+
+  /**
+   * Rebuild the model from labeled examples [{ text, label, weight }]
+   */
+  train(examples = []) {
+    this.reset();
+
+    for (const { text, label, weight = 1 } of examples) {
+      if (!SpoilerClassifier.LABELS.includes(label) || typeof text !== 'string') continue;
+
+      const features = this.getFeatures(Tokenizer.prepare(TextNormalizer.normalize(text).text));
+      this.docCounts[label] += weight;
+      this.examplesByLabel[label]++;
+      for (const feature of features) {
+        this.tokenCounts[label].set(feature, (this.tokenCounts[label].get(feature) || 0) + weight);
+        this.tokenTotals[label] += weight;
+        this.vocabulary.add(feature);
+      }
+    }
+
+    const last = examples[examples.length - 1];
+    this.version = examples.length > 0 ? `${examples.length}-${last.id || ''}` : '0';
+    return this;
+  }
+
+  /**
+   * Unique word keys of prepared text
+   */
+  getFeatures(prepared) {
+    return new Set(prepared.tokens.map(token => token.lower));
+  }
+
+  /**
+   * Enough examples of both labels to say anything
+   */
+  isReady() {
+    return SpoilerClassifier.LABELS.every(
+      label => this.examplesByLabel[label] >= SpoilerClassifier.MIN_EXAMPLES_PER_LABEL
+    );
+  }
+
+  getExampleCount() {
+    return this.examplesByLabel.spoiler + this.examplesByLabel.safe;
+  }
+
+  /**
+   * Probability that prepared text is a spoiler, from 0 to 1
+   */
+  predict(prepared) {
+    if (!this.isReady()) return 0.5;
+
+    const totalDocs = this.docCounts.spoiler + this.docCounts.safe;
+    const vocabularySize = this.vocabulary.size;
+    const scores = {};
+
+    for (const label of SpoilerClassifier.LABELS) {
+      let score = Math.log(this.docCounts[label] / totalDocs);
+      for (const feature of this.getFeatures(prepared)) {
+        if (!this.vocabulary.has(feature)) continue;
+        const count = this.tokenCounts[label].get(feature) || 0;
+        score += Math.log((count + 1) / (this.tokenTotals[label] + vocabularySize));
+      }
+      scores[label] = score;
+    }
+
+    return 1 / (1 + Math.exp(scores.safe - scores.spoiler));
+  }
+}
+
+export default SpoilerClassifier;
@@ -0,0 +1,199 @@
+import { AppState } from 'react-native';
+import StorageService from './StorageService';
+import { mergeCounts, getDayKey, getWeekKey } from '../utils/helpers';
+
+/**
+ * Statistics Collector
+ *
+ * Analyses, reveals and false-positive reports are counted in memory and
+ * written to storage in one merge every few seconds and whenever the app
+ * goes to the background, instead of a read-modify-write per post. Flushes
+ * are queued so concurrent feed analyses never lose increments.
+ *
+ * Besides lifetime totals, counts are kept per watchlist entry, per
+ * platform, and in daily and weekly buckets that carry the same breakdown.
+ */
+class StatsCollector {
+  static FLUSH_INTERVAL_MS = 5000;
+
+  static pending = null;
+  static flushTimer = null;
+  static flushQueue = Promise.resolve();
+  static appStateSubscription = null;
+
+  /**
+   * Count one detection result
+   */
+  static record(result) {
+    if (!result) return;
+    const blocked = result.hasSpoiler ? 1 : 0;
+
+    this.count(
+      result,
+      { postsScanned: 1, spoilersBlocked: blocked, lastScanDate: new Date().toISOString() },
+      { scanned: 1, blocked },
+      { matched: 1, blocked }
+    );
+  }
+
+  /**
+   * The user chose to show content that was hidden
+   */
+  static recordReveal(result) {
+    if (!result) return;
+    this.count(result, { reveals: 1 }, { reveals: 1 }, { reveals: 1 });
+  }
+
+  /**
+   * The user reported hidden content as not a spoiler
+   */
+  static recordFalsePositive(result) {
+    if (!result) return;
+    this.count(result, { falsePositives: 1 }, { falsePositives: 1 }, { falsePositives: 1 });
+  }
+
+  /**
+   * Add counts for a result to the lifetime totals, its platform and
+   * watchlist entries, and today's and this week's buckets
+   */
+  static count(result, totals, counts, entryCounts) {
+    this.listenForBackground();
+
+    const platform = result.source || 'unknown';
+    const entries = {};
+    for (const { id, name } of result.matchedEntries || []) {
+      if (id) entries[id] = { name, ...entryCounts };
+    }
+    const bucket = { ...counts, platforms: { [platform]: counts }, entries };
+    const now = new Date();
+
+    this.pending = mergeCounts(this.pending || {}, {
+      ...totals,
+      terms: entries,
+      platforms: { [platform]: counts },
+      days: { [getDayKey(now)]: bucket },
+      weeks: { [getWeekKey(now)]: bucket },
+    });
+
+    this.scheduleFlush();
+  }
+
+  static scheduleFlush() {
+    if (this.flushTimer) return;
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.flush();
+    }, this.FLUSH_INTERVAL_MS);
+  }
+
+  /**
+   * Write pending counts. The buffer is swapped out synchronously, so
+   * analyses recorded during the write go into the next flush.
+   */
+  static flush() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+
+    const delta = this.pending;
+    this.pending = null;
+    if (!delta) return this.flushQueue;
+
+    this.flushQueue = this.flushQueue.then(async () => {
+      try {
+        if (!(await StorageService.updateStats(delta))) this.restore(delta);
+      } catch (error) {
+        console.error('[StatsCollector] Flush failed:', error);
+        this.restore(delta);
+      }
+    });
+    return this.flushQueue;
+  }
+
+  /**
+   * Put an unwritten delta back in front of newer counts
+   */
+  static restore(delta) {
+    this.pending = mergeCounts(delta, this.pending || {});
+    this.scheduleFlush();
+  }
+
+  static listenForBackground() {
+    if (this.appStateSubscription) return;
+    this.appStateSubscription = AppState.addEventListener('change', state => {
+      if (state !== 'active') this.flush();
+    });
+  }
+
+  /**
+   * Stored stats including counts not yet flushed
+   */
+  static async getStats() {
+    await this.flush();
+    return await StorageService.getStats();
+  }
+
+  /**
+   * Time series for the last `count` days or weeks, oldest first, with
+   * empty buckets filled in
+   * @param {string} period - 'day' or 'week'
+   */
+  static getSeries(stats, period = 'day', count = 14) {
+    const buckets = (period === 'week' ? stats.weeks : stats.days) || {};
+    const series = [];
+
+    for (let i = count - 1; i >= 0; i--) {
+      const date = new Date();
+      date.setDate(date.getDate() - i * (period === 'week' ? 7 : 1));
+      const key = period === 'week' ? getWeekKey(date) : getDayKey(date);
+      series.push({
+        key,
+        label: period === 'week' ? key.slice(5) : `${date.getMonth() + 1}/${date.getDate()}`,
+        scanned: 0,
+        blocked: 0,
+        reveals: 0,
+        falsePositives: 0,
+        entries: {},
+        platforms: {},
+        ...buckets[key],
+      });
+    }
+
+    return series;
+  }
+
+  /**
+   * Totals and per-entry/per-platform rankings over a series
+   */
+  static summarize(series) {
+    const totals = series.reduce((sum, bucket) => mergeCounts(sum, bucket), {});
+    const rank = (map = {}) => Object.entries(map)
+      .map(([id, counts]) => ({ id, ...counts }))
+      .sort((a, b) => (b.blocked || 0) - (a.blocked || 0) || (b.scanned || b.matched || 0) - (a.scanned || a.matched || 0));
+
+    return {
+      scanned: totals.scanned || 0,
+      blocked: totals.blocked || 0,
+      reveals: totals.reveals || 0,
+      falsePositives: totals.falsePositives || 0,
+      entries: rank(totals.entries),
+      platforms: rank(totals.platforms),
+    };
+  }
+
+  /**
+   * Drop buffered counts and reset stored stats to zero
+   */
+  static async reset() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+    this.pending = null;
+    await this.flushQueue;
+    return await StorageService.resetStats();
+  }
+}
+
+export default StatsCollector;
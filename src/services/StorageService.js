@@ -1,16 +1,44 @@
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import WatchlistService from './WatchlistService';
+import ReleaseCalendar from './ReleaseCalendar';
+import DetectionRules from './DetectionRules';
+import Allowlist from './Allowlist';
+import { mergeCounts } from '../utils/helpers';
 
 class StorageService {
   static KEYS = {
     WATCHLIST: 'spoiler_shield_watchlist',
     SETTINGS: 'spoiler_shield_settings',
-    STATS: 'spoiler_shield_stats'
+    STATS: 'spoiler_shield_stats',
+    TIME_SHIFT: 'spoiler_shield_time_shift',
+    ANALYSIS_CACHE: 'spoiler_shield_analysis_cache',
+    FEEDBACK: 'spoiler_shield_feedback'
   };
 
+  static watchlistListeners = new Set();
+
+  /**
+   * Be notified whenever the watchlist is saved
+   * @returns {Function} unsubscribe
+   */
+  static onWatchlistChange(listener) {
+    this.watchlistListeners.add(listener);
+    return () => this.watchlistListeners.delete(listener);
+  }
+
+  /**
+   * Get watchlist entries, migrating legacy string lists on first read
+   */
   static async getWatchlist() {
     try {
       const watchlist = await AsyncStorage.getItem(this.KEYS.WATCHLIST);
-      return watchlist ? JSON.parse(watchlist) : [];
+      if (!watchlist) return [];
+
+      const { entries, migrated } = WatchlistService.migrate(JSON.parse(watchlist));
+      if (migrated) {
+        await this.saveWatchlist(entries);
+      }
+      return entries;
     } catch (error) {
       console.error('Error getting watchlist:', error);
       return [];
@@ -20,6 +48,7 @@ class StorageService {
   static async saveWatchlist(watchlist) {
     try {
       await AsyncStorage.setItem(this.KEYS.WATCHLIST, JSON.stringify(watchlist));
+      this.watchlistListeners.forEach(listener => listener(watchlist));
       return true;
     } catch (error) {
       console.error('Error saving watchlist:', error);
@@ -27,42 +56,273 @@ class StorageService {
     }
   }
 
-  static async addToWatchlist(term) {
+  /**
+   * Add a term or entry to the watchlist
+   * @param {string|Object} termOrEntry - display name or partial entry
+   */
+  static async addToWatchlist(termOrEntry) {
+    const entry = WatchlistService.createEntry(termOrEntry);
+    if (!entry.name) return false;
+
     const watchlist = await this.getWatchlist();
-    if (!watchlist.some(item => item.toLowerCase() === term.toLowerCase())) {
-      watchlist.push(term);
+    if (!watchlist.some(item => WatchlistService.matchesName(item, entry.name))) {
+      watchlist.push(entry);
       return await this.saveWatchlist(watchlist);
     }
     return false; // Already exists
   }
 
-  static async removeFromWatchlist(term) {
+  /**
+   * Update an existing entry by id
+   */
+  static async updateWatchlistEntry(id, updates) {
     const watchlist = await this.getWatchlist();
-    const filtered = watchlist.filter(item => item.toLowerCase() !== term.toLowerCase());
+    const index = watchlist.findIndex(item => item.id === id);
+    if (index === -1) return false;
+
+    watchlist[index] = WatchlistService.updateEntry(watchlist[index], updates);
+    return await this.saveWatchlist(watchlist);
+  }
+
+  /**
+   * Remove an entry by id or display name
+   */
+  static async removeFromWatchlist(idOrName) {
+    const watchlist = await this.getWatchlist();
+    const target = WatchlistService.findEntry(watchlist, idOrName);
+    if (!target) return false;
+
+    const filtered = watchlist.filter(item => item.id !== target.id);
     return await this.saveWatchlist(filtered);
   }
 
+  /**
+   * Import release/event dates into matching watchlist entries.
+   * Calendar entries are matched by name or alias; unmatched ones are skipped.
+   * @param {Object} calendar - { entries: [{ name, aliases, events }] }
+   */
+  static async importReleaseCalendar(calendar = ReleaseCalendar.getBundledCalendar()) {
+    const watchlist = await this.getWatchlist();
+    let matchedEntries = 0;
+    let addedEvents = 0;
+
+    for (const calendarEntry of calendar?.entries || []) {
+      const names = [calendarEntry.name, ...(calendarEntry.aliases || [])];
+      const target = names
+        .map(name => watchlist.find(item => WatchlistService.matchesName(item, name)))
+        .find(Boolean);
+      if (!target) continue;
+
+      const { events, addedCount } = ReleaseCalendar.mergeEvents(target.events, calendarEntry.events);
+      if (addedCount > 0) {
+        Object.assign(target, WatchlistService.updateEntry(target, { events }));
+      }
+      matchedEntries++;
+      addedEvents += addedCount;
+    }
+
+    if (addedEvents > 0) {
+      await this.saveWatchlist(watchlist);
+    }
+
+    return { matchedEntries, addedEvents };
+  }
+
+  /**
+   * Watchlist as JSON, with each entry's aliases, progress, events and rules
+   */
+  static async exportWatchlist() {
+    const entries = await this.getWatchlist();
+    return JSON.stringify({
+      format: 'spoiler-shield-watchlist',
+      version: 1,
+      exportedAt: new Date().toISOString(),
+      entries,
+    }, null, 2);
+  }
+
+  /**
+   * Import an exported watchlist (or the older one-name-per-line export).
+   * New entries are added; entries already on the watchlist gain any rules
+   * and allowlist items they don't have. Rules that don't parse are left out
+   * and reported.
+   * @returns {{added, updated, invalidRules: Array<{name, expression, error}>}}
+   */
+  static async importWatchlist(text) {
+    let items;
+    try {
+      const parsed = JSON.parse(text);
+      items = Array.isArray(parsed) ? parsed : parsed?.entries;
+    } catch (error) {
+      items = (text || '').split('\n');
+    }
+    if (!Array.isArray(items)) {
+      throw new Error('Not a Spoiler Shield watchlist export');
+    }
+
+    const watchlist = await this.getWatchlist();
+    const invalidRules = [];
+    let added = 0;
+    let updated = 0;
+
+    for (const item of WatchlistService.migrate(items).entries) {
+      const rules = item.rules.filter(rule => {
+        const error = DetectionRules.validate(rule.expression);
+        if (error) invalidRules.push({ name: item.name, expression: rule.expression, error });
+        return !error;
+      });
+
+      const existing = watchlist.find(entry => WatchlistService.matchesName(entry, item.name));
+      if (!existing) {
+        const clash = watchlist.some(entry => entry.id === item.id);
+        watchlist.push(WatchlistService.createEntry({ ...item, id: clash ? undefined : item.id, rules }));
+        added++;
+        continue;
+      }
+
+      const newRules = rules.filter(rule => !existing.rules.some(own => own.expression === rule.expression));
+      const allowlist = Allowlist.normalize([...existing.allowlist, ...item.allowlist]);
+      if (newRules.length > 0 || allowlist.length > existing.allowlist.length) {
+        Object.assign(existing, WatchlistService.updateEntry(existing, { rules: [...existing.rules, ...newRules], allowlist }));
+        updated++;
+      }
+    }
+
+    if (added > 0 || updated > 0) {
+      await this.saveWatchlist(watchlist);
+    }
+
+    return { added, updated, invalidRules };
+  }
+
+  static async getSettings() {
+    try {
+      const settings = await AsyncStorage.getItem(this.KEYS.SETTINGS);
+      return settings ? JSON.parse(settings) : {};
+    } catch (error) {
+      console.error('Error getting settings:', error);
+      return {};
+    }
+  }
+
+  static async updateSettings(updates = {}) {
+    const settings = await this.getSettings();
+    const newSettings = { ...settings, ...updates };
+
+    try {
+      await AsyncStorage.setItem(this.KEYS.SETTINGS, JSON.stringify(newSettings));
+      return newSettings;
+    } catch (error) {
+      console.error('Error updating settings:', error);
+      return settings;
+    }
+  }
+
+  static async getTimeShiftSessions() {
+    try {
+      const sessions = await AsyncStorage.getItem(this.KEYS.TIME_SHIFT);
+      return sessions ? JSON.parse(sessions) : [];
+    } catch (error) {
+      console.error('Error getting time-shift sessions:', error);
+      return [];
+    }
+  }
+
+  static async saveTimeShiftSessions(sessions) {
+    try {
+      await AsyncStorage.setItem(this.KEYS.TIME_SHIFT, JSON.stringify(sessions));
+      return true;
+    } catch (error) {
+      console.error('Error saving time-shift sessions:', error);
+      return false;
+    }
+  }
+
+  static async getAnalysisCache() {
+    try {
+      const cache = await AsyncStorage.getItem(this.KEYS.ANALYSIS_CACHE);
+      return cache ? JSON.parse(cache) : null;
+    } catch (error) {
+      console.error('Error getting analysis cache:', error);
+      return null;
+    }
+  }
+
+  static async saveAnalysisCache(cache) {
+    try {
+      await AsyncStorage.setItem(this.KEYS.ANALYSIS_CACHE, JSON.stringify(cache));
+      return true;
+    } catch (error) {
+      console.error('Error saving analysis cache:', error);
+      return false;
+    }
+  }
+
+  static async getFeedbackExamples() {
+    try {
+      const examples = await AsyncStorage.getItem(this.KEYS.FEEDBACK);
+      return examples ? JSON.parse(examples) : [];
+    } catch (error) {
+      console.error('Error getting feedback examples:', error);
+      return [];
+    }
+  }
+
+  static async saveFeedbackExamples(examples) {
+    try {
+      await AsyncStorage.setItem(this.KEYS.FEEDBACK, JSON.stringify(examples));
+      return true;
+    } catch (error) {
+      console.error('Error saving feedback examples:', error);
+      return false;
+    }
+  }
+
+  // History buckets kept in stats; older ones are dropped on write
+  static STATS_RETENTION = {
+    days: 90,
+    weeks: 52
+  };
+
+  static createEmptyStats() {
+    return {
+      spoilersBlocked: 0,
+      postsScanned: 0,
+      reveals: 0,
+      falsePositives: 0,
+      lastScanDate: new Date().toISOString(),
+      terms: {},
+      platforms: {},
+      days: {},
+      weeks: {}
+    };
+  }
+
   static async getStats() {
     try {
       const stats = await AsyncStorage.getItem(this.KEYS.STATS);
-      return stats ? JSON.parse(stats) : {
-        spoilersBlocked: 0,
-        postsScanned: 0,
-        lastScanDate: new Date().toISOString()
-      };
+      return { ...this.createEmptyStats(), ...(stats ? JSON.parse(stats) : {}) };
     } catch (error) {
       console.error('Error getting stats:', error);
-      return { spoilersBlocked: 0, postsScanned: 0, lastScanDate: new Date().toISOString() };
+      return this.createEmptyStats();
     }
   }
 
+  /**
+   * Add counters to the stored stats
+   * @param {Object} increment - lifetime totals (spoilersBlocked,
+   *   postsScanned, reveals, falsePositives) plus nested per-term,
+   *   per-platform, per-day and per-week counts, all summed into storage
+   * @returns {Object|null} the new stats, or null when the write failed
+   */
   static async updateStats(increment = {}) {
     const stats = await this.getStats();
+    const merged = mergeCounts(stats, increment);
     const newStats = {
-      ...stats,
-      spoilersBlocked: stats.spoilersBlocked + (increment.spoilersBlocked || 0),
-      postsScanned: stats.postsScanned + (increment.postsScanned || 0),
-      lastScanDate: new Date().toISOString()
+      ...merged,
+      days: this.pruneBuckets(merged.days, this.STATS_RETENTION.days),
+      weeks: this.pruneBuckets(merged.weeks, this.STATS_RETENTION.weeks),
+      lastScanDate: increment.lastScanDate || stats.lastScanDate
     };
     
     try {
@@ -70,7 +330,26 @@ class StorageService {
       return newStats;
     } catch (error) {
       console.error('Error updating stats:', error);
-      return stats;
+      return null;
+    }
+  }
+
+  /**
+   * Keep the newest buckets; day and week keys sort chronologically
+   */
+  static pruneBuckets(buckets = {}, limit) {
+    const keys = Object.keys(buckets).sort();
+    if (keys.length <= limit) return buckets;
+    return Object.fromEntries(keys.slice(-limit).map(key => [key, buckets[key]]));
+  }
+
+  static async resetStats() {
+    try {
+      await AsyncStorage.setItem(this.KEYS.STATS, JSON.stringify(this.createEmptyStats()));
+      return true;
+    } catch (error) {
+      console.error('Error resetting stats:', error);
+      return false;
     }
   }
 }
@@ -0,0 +1,259 @@
+/**
+ * Text Normalizer
+ *
+ * Applies Unicode NFKC (full-width letters, ligatures) and undoes common
+ * filter dodges before matching: zero-width characters, Cyrillic/Greek
+ * look-alike letters, run-together hashtags ("#HouseOfTheDragonFinale"),
+ * spaced-out letters ("H a m i l t o n") and leetspeak ("Ham1lt0n"). Every
+ * output character remembers its index in the original text so matches can
+ * be mapped back for highlighting.
+ */
+class TextNormalizer {
+  // Zero-width spaces/joiners, word joiner, BOM, soft hyphen, Mongolian vowel separator
+  static INVISIBLE_PATTERN = /[\u200B-\u200F\u2060-\u2064\uFEFF\u00AD\u180E]/;
+
+  static HOMOGLYPHS = {
+    // Cyrillic
+    'а': 'a', 'в': 'b', 'е': 'e', 'к': 'k', 'м': 'm', 'н': 'h', 'о': 'o', 'р': 'p',
+    'с': 'c', 'т': 't', 'у': 'y', 'х': 'x', 'і': 'i', 'ј': 'j', 'ѕ': 's', 'ԁ': 'd',
+    'ԛ': 'q', 'ԝ': 'w', 'ɡ': 'g',
+    'А': 'A', 'В': 'B', 'Е': 'E', 'К': 'K', 'М': 'M', 'Н': 'H', 'О': 'O', 'Р': 'P',
+    'С': 'C', 'Т': 'T', 'У': 'Y', 'Х': 'X', 'І': 'I', 'Ј': 'J', 'Ѕ': 'S',
+    // Greek
+    'α': 'a', 'ε': 'e', 'ι': 'i', 'κ': 'k', 'ν': 'v', 'ο': 'o', 'ρ': 'p', 'τ': 't', 'υ': 'u',
+    'Α': 'A', 'Β': 'B', 'Ε': 'E', 'Ζ': 'Z', 'Η': 'H', 'Ι': 'I', 'Κ': 'K', 'Μ': 'M',
+    'Ν': 'N', 'Ο': 'O', 'Ρ': 'P', 'Τ': 'T', 'Υ': 'Y', 'Χ': 'X',
+  };
+
+  static LEET = {
+    '0': 'o', '1': 'i', '3': 'e', '4': 'a', '5': 's', '7': 't', '@': 'a', '$': 's',
+  };
+
+  // Four or more single letters split by spaces, dots, dashes or stars
+  static SPACED_LETTERS_PATTERN = /(?<![A-Za-z0-9])(?:[A-Za-z0-9][ .\-_*]){3,}[A-Za-z0-9](?![A-Za-z0-9])/g;
+
+  static WORD_PATTERN = /[A-Za-z0-9@$]+/g;
+
+  static HASHTAG_PATTERN = /#([\p{L}\p{N}_]+)/gu;
+
+  // camelCase humps: "houseOf", "F1Monaco", "GPWinner"
+  static CAMEL_BOUNDARY_PATTERN = /(?<=\p{Ll})(?=\p{Lu})|(?<=\p{N})(?=\p{Lu})|(?<=\p{Lu})(?=\p{Lu}\p{Ll})/gu;
+
+  /**
+   * Normalize text, keeping an offset map back to the original
+   * @param {Object} options - { dictionary: known words and terms (as token
+   *   arrays) used to split lowercase hashtags }
+   * @returns {{text, offsets, transforms}} offsets[i] is the original index
+   *   of text[i]; offsets[text.length] is the original length
+   */
+  static normalize(text, options = {}) {
+    if (!text || typeof text !== 'string') {
+      return { text: '', offsets: [0], transforms: [] };
+    }
+
+    let chars = text.split('').map((ch, at) => ({ ch, at }));
+    const transforms = [];
+
+    const step = (name, next) => {
+      const changed = next.length !== chars.length || next.some((item, i) => item.ch !== chars[i].ch);
+      if (changed) transforms.push(name);
+      chars = next;
+    };
+
+    step('unicode', this.normalizeUnicode(chars));
+    step('invisible', chars.filter(({ ch }) => !this.INVISIBLE_PATTERN.test(ch)));
+    step('homoglyphs', this.foldHomoglyphs(chars));
+    step('hashtags', this.splitHashtags(chars, options.dictionary || []));
+    step('spaced_letters', this.collapseSpacedLetters(chars));
+    step('leetspeak', this.decodeLeetspeak(chars));
+
+    return {
+      text: chars.map(({ ch }) => ch).join(''),
+      offsets: [...chars.map(({ at }) => at), text.length],
+      transforms,
+    };
+  }
+
+  /**
+   * NFKC each character together with its combining marks, so composed
+   * output still maps to the base character's offset
+   */
+  static normalizeUnicode(chars) {
+    const current = chars.map(({ ch }) => ch).join('');
+    const next = [];
+
+    for (const match of current.matchAll(/[\s\S]\p{M}*/gu)) {
+      // Surrogate pairs keep one offset per unit; expansions share the last
+      match[0].normalize('NFKC').split('').forEach((ch, i) => {
+        next.push({ ch, at: chars[match.index + Math.min(i, match[0].length - 1)].at });
+      });
+    }
+
+    return next;
+  }
+
+  /**
+   * Fold look-alikes only in words that also contain Latin letters, so real
+   * Cyrillic and Greek text (and watchlist names in it) is left alone
+   */
+  static foldHomoglyphs(chars) {
+    const current = chars.map(({ ch }) => ch).join('');
+    const next = [...chars];
+
+    for (const match of current.matchAll(/[\p{L}\p{N}]+/gu)) {
+      if (!/[A-Za-z]/.test(match[0])) continue;
+
+      for (let i = match.index; i < match.index + match[0].length; i++) {
+        const replacement = this.HOMOGLYPHS[current[i]];
+        if (replacement) next[i] = { ...next[i], ch: replacement };
+      }
+    }
+
+    return next;
+  }
+
+  /**
+   * Insert spaces into hashtags at camelCase humps, underscores and around
+   * known words, so "#F1MonacoGP" reads "#F1 Monaco GP". Runs before
+   * leetspeak so "F1" isn't decoded.
+   */
+  static splitHashtags(chars, dictionary) {
+    const current = chars.map(({ ch }) => ch).join('');
+    const breaks = new Set();
+
+    for (const match of current.matchAll(this.HASHTAG_PATTERN)) {
+      const bodyStart = match.index + 1;
+      const body = match[1];
+
+      for (const boundary of body.matchAll(this.CAMEL_BOUNDARY_PATTERN)) {
+        breaks.add(bodyStart + boundary.index);
+      }
+      for (const boundary of this.findKnownWordBoundaries(body.toLowerCase(), dictionary)) {
+        breaks.add(bodyStart + boundary);
+      }
+      [...body].forEach((ch, i) => {
+        if (ch === '_') breaks.add(bodyStart + i);
+      });
+    }
+
+    if (breaks.size === 0) return chars;
+
+    const next = [];
+    chars.forEach((item, i) => {
+      if (breaks.has(i) && current[i] === '_') {
+        next.push({ ...item, ch: ' ' });
+        return;
+      }
+      if (breaks.has(i) && next.length > 0 && next[next.length - 1].ch !== ' ') {
+        next.push({ ch: ' ', at: item.at });
+      }
+      next.push(item);
+    });
+    return next;
+  }
+
+  /**
+   * Boundaries around (and inside) dictionary words found in a lowercase
+   * hashtag, longest words first
+   * @param {Array<Array<string>>} dictionary - each entry is a word list
+   */
+  static findKnownWordBoundaries(body, dictionary) {
+    const boundaries = [];
+    const taken = new Array(body.length).fill(false);
+
+    const candidates = dictionary
+      .map(words => ({ words, key: words.join('') }))
+      .filter(({ key }) => key.length >= 3 && key.length < body.length)
+      .sort((a, b) => b.key.length - a.key.length);
+
+    for (const { words, key } of candidates) {
+      let index = body.indexOf(key);
+      while (index !== -1) {
+        const end = index + key.length;
+        if (!taken.slice(index, end).some(Boolean)) {
+          taken.fill(true, index, end);
+          boundaries.push(index, end);
+
+          let offset = index;
+          for (const word of words.slice(0, -1)) {
+            offset += word.length;
+            boundaries.push(offset);
+          }
+        }
+        index = body.indexOf(key, end);
+      }
+    }
+
+    return boundaries.filter(boundary => boundary > 0 && boundary < body.length);
+  }
+
+  static collapseSpacedLetters(chars) {
+    const current = chars.map(({ ch }) => ch).join('');
+    const drop = new Set();
+
+    for (const match of current.matchAll(this.SPACED_LETTERS_PATTERN)) {
+      for (let i = match.index; i < match.index + match[0].length; i++) {
+        if (!/[A-Za-z0-9]/.test(current[i])) drop.add(i);
+      }
+    }
+
+    return drop.size === 0 ? chars : chars.filter((_, i) => !drop.has(i));
+  }
+
+  /**
+   * Decode leetspeak only inside words that are mostly letters and where the
+   * digit or symbol sits between two letters ("Ham1lt0n"), so codes such as
+   * "F1", "P1" and "S2E7" are left alone
+   */
+  static decodeLeetspeak(chars) {
+    const current = chars.map(({ ch }) => ch).join('');
+    const next = [...chars];
+
+    for (const match of current.matchAll(this.WORD_PATTERN)) {
+      const word = match[0];
+      const letters = word.replace(/[^A-Za-z]/g, '').length;
+      if (word.length < 4 || letters < 3 || letters === word.length) continue;
+
+      for (let i = 1; i < word.length - 1; i++) {
+        const replacement = this.LEET[word[i]];
+        if (!replacement) continue;
+        if (!/[A-Za-z@$0-9]/.test(word[i - 1]) || !/[A-Za-z]/.test(word[i + 1])) continue;
+
+        const index = match.index + i;
+        next[index] = { ...next[index], ch: replacement };
+      }
+    }
+
+    return next;
+  }
+
+  /**
+   * Map a range in normalized text back to the original text
+   */
+  static toOriginalRange(normalized, start, end) {
+    const { offsets } = normalized;
+    if (end <= start) return { start: offsets[start], end: offsets[start] };
+
+    return {
+      start: offsets[start],
+      end: offsets[end - 1] + 1,
+    };
+  }
+
+  /**
+   * Map a range in the original text to normalized text
+   */
+  static toPreparedRange(normalized, start, end) {
+    if (!normalized) return { start, end };
+
+    const { offsets } = normalized;
+    const first = offsets.findIndex(offset => offset >= start);
+    const after = offsets.findIndex(offset => offset >= end);
+    return {
+      start: first === -1 ? offsets.length - 1 : first,
+      end: after === -1 ? offsets.length - 1 : after,
+    };
+  }
+}
+
+export default TextNormalizer;
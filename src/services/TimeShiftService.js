@@ -0,0 +1,110 @@
+import uuid from 'react-native-uuid';
+import StorageService from './StorageService';
+import WatchlistService from './WatchlistService';
+import Tokenizer from './Tokenizer';
+import { getItemTimestamp, getItemText } from '../utils/helpers';
+
+/**
+ * Time-Shift Mode
+ *
+ * For events watched on delay: every feed item published after the live
+ * start that mentions the event is masked, regardless of spoiler keywords.
+ * A session lasts until the user marks it as caught up.
+ */
+class TimeShiftService {
+  static async getSessions() {
+    return await StorageService.getTimeShiftSessions();
+  }
+
+  /**
+   * Start watching an event on delay
+   * @param {Object} options - { entry, eventTitle, liveStart }
+   */
+  static async startSession({ entry, eventTitle = '', liveStart }) {
+    const start = new Date(liveStart);
+    if (!entry || isNaN(start.getTime())) {
+      throw new Error('A watchlist entry and a valid live start time are required');
+    }
+
+    const session = {
+      id: uuid.v4(),
+      entryId: entry.id,
+      entryName: entry.name,
+      eventTitle: eventTitle.trim(),
+      liveStart: start.toISOString(),
+      startedAt: new Date().toISOString(),
+    };
+
+    const sessions = await this.getSessions();
+    await StorageService.saveTimeShiftSessions([...sessions, session]);
+    return session;
+  }
+
+  /**
+   * "I've caught up" - end a session
+   */
+  static async endSession(sessionId) {
+    const sessions = await this.getSessions();
+    return await StorageService.saveTimeShiftSessions(
+      sessions.filter(session => session.id !== sessionId)
+    );
+  }
+
+  /**
+   * Check a single feed item against the active sessions
+   * @returns {Object|null} the session that masks this item
+   */
+  static evaluateItem(item, sessions, watchlist) {
+    if (!sessions || sessions.length === 0) return null;
+
+    const published = getItemTimestamp(item);
+    if (!published) return null;
+
+    const text = getItemText(item);
+    if (!text) return null;
+    const prepared = Tokenizer.prepare(text);
+
+    for (const session of sessions) {
+      if (published <= new Date(session.liveStart)) continue;
+
+      const entry = watchlist.find(candidate => candidate.id === session.entryId);
+      if (this.mentionsSession(prepared, session, entry)) {
+        return session;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Whether text mentions the session's event or watchlist entry
+   */
+  static mentionsSession(prepared, session, entry) {
+    const terms = entry
+      ? WatchlistService.getSearchTerms(entry).map(({ term }) => term)
+      : [session.entryName];
+    if (session.eventTitle) terms.push(session.eventTitle);
+
+    return terms
+      .filter(term => term.trim())
+      .some(term => Tokenizer.containsPhrase(prepared, term));
+  }
+
+  /**
+   * Annotate a list of feed items with `timeShift` when masked
+   */
+  static async annotateItems(items) {
+    const sessions = await this.getSessions();
+    if (sessions.length === 0) return items;
+
+    const watchlist = await StorageService.getWatchlist();
+    return items.map(item => {
+      const session = this.evaluateItem(item, sessions, watchlist);
+      return session
+        ? { ...item, timeShift: { sessionId: session.id, entryName: session.entryName, eventTitle: session.eventTitle } }
+        : item;
+    });
+  }
+}
+
+export default TimeShiftService;
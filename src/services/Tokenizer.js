@@ -0,0 +1,215 @@
+// Scripts written without spaces between words are matched character by character
+const UNSPACED_SCRIPTS = '\\p{Script=Han}\\p{Script=Hiragana}\\p{Script=Katakana}\\p{Script=Thai}\\p{Script=Lao}\\p{Script=Khmer}\\p{Script=Myanmar}\\u30FC';
+const WORD_CHAR = `(?:(?![${UNSPACED_SCRIPTS}])[\\p{L}\\p{N}\\p{M}])`;
+
+/**
+ * Tokenizer and phrase matcher shared by the detectors
+ *
+ * Replaces substring matching so that "F1" no longer matches "F150",
+ * "GOT" no longer matches "got" and "Drake" no longer matches "drakes".
+ */
+class Tokenizer {
+  static TOKEN_PATTERN = new RegExp(
+    `[${UNSPACED_SCRIPTS}]\\p{M}*|${WORD_CHAR}+(?:['’]${WORD_CHAR}+)*`,
+    'gu'
+  );
+  static POSSESSIVE_PATTERN = /['’]s$/i;
+
+  // Letters that don't decompose into a base letter plus an accent
+  static FOLDED_LETTERS = { 'ø': 'o', 'ł': 'l', 'đ': 'd', 'ß': 'ss', 'æ': 'ae', 'œ': 'oe', 'ı': 'i' };
+
+  // "Perez" matches "Pérez" unless the user turns this off
+  static foldAccents = true;
+
+  static compiledTerms = new Map();
+
+  static setFoldAccents(enabled) {
+    if (this.foldAccents === enabled) return;
+    this.foldAccents = enabled;
+    this.compiledTerms.clear();
+  }
+
+  /**
+   * Lowercase comparison key, with Latin/Greek/Cyrillic accents removed when
+   * folding is on. Only combining diacritics are stripped, so Japanese voicing
+   * marks survive.
+   */
+  static toKey(text) {
+    const lower = text.toLowerCase();
+    if (!this.foldAccents) return lower;
+
+    return lower
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/[øłđßæœı]/g, letter => this.FOLDED_LETTERS[letter])
+      .normalize('NFC');
+  }
+
+  /**
+   * Split text into word tokens with character offsets into the original.
+   * Possessives are folded ("Hamilton's" -> "hamilton") in `base`/`lower`.
+   * Han, kana and Thai characters each become their own token.
+   */
+  static tokenize(text) {
+    if (!text || typeof text !== 'string') return [];
+
+    const tokens = [];
+    for (const match of text.matchAll(this.TOKEN_PATTERN)) {
+      const base = match[0].replace(this.POSSESSIVE_PATTERN, '');
+      tokens.push({
+        text: match[0],
+        base,
+        lower: this.toKey(base),
+        start: match.index,
+        end: match.index + match[0].length,
+      });
+    }
+    return tokens;
+  }
+
+  /**
+   * Tokenize once and index the result for repeated term lookups
+   */
+  static prepare(text) {
+    const tokens = this.tokenize(text);
+    return {
+      raw: text || '',
+      tokens,
+      lowerSet: new Set(tokens.map(token => token.lower)),
+    };
+  }
+
+  /**
+   * All-caps acronyms ("GOT", "MCU") are matched case-sensitively so they
+   * don't fire on ordinary words. Acronyms with digits ("F1") can't collide
+   * with English words, so they stay case-insensitive.
+   */
+  static isAcronym(term) {
+    return /^[A-Z]{2,6}$/.test(term.trim());
+  }
+
+  /**
+   * Compile a watchlist term into its token sequence (cached)
+   */
+  static compileTerm(term) {
+    const cached = this.compiledTerms.get(term);
+    if (cached) return cached;
+
+    const sourceTokens = this.tokenize(term);
+    const compiled = {
+      term,
+      sourceTokens: sourceTokens.map(token => token.base),
+      tokens: sourceTokens.map(token => token.lower),
+      caseSensitive: this.isAcronym(term),
+      // Capitalized names ("Drake") aren't inflected ("drakes")
+      properNoun: sourceTokens.length > 0 && /^\p{Lu}/u.test(sourceTokens[0].base),
+    };
+
+    this.compiledTerms.set(term, compiled);
+    return compiled;
+  }
+
+  static tokenEquals(token, compiled, index) {
+    return compiled.caseSensitive
+      ? token.base === compiled.sourceTokens[index]
+      : token.lower === compiled.tokens[index];
+  }
+
+  /**
+   * Find every occurrence of a compiled term as a run of whole tokens
+   * @returns {Array<{start, end, tokenStart, tokenEnd}>} offsets into the raw text
+   */
+  static findPhrase(prepared, compiled) {
+    const matches = [];
+    const { tokens } = prepared;
+    const length = compiled.tokens.length;
+    if (length === 0) return matches;
+
+    // Quick reject when a needed token is missing entirely
+    if (compiled.tokens.some(token => !prepared.lowerSet.has(token))) return matches;
+
+    for (let i = 0; i <= tokens.length - length; i++) {
+      let found = true;
+      for (let j = 0; j < length; j++) {
+        if (!this.tokenEquals(tokens[i + j], compiled, j)) {
+          found = false;
+          break;
+        }
+      }
+
+      if (found) {
+        matches.push({
+          start: tokens[i].start,
+          end: tokens[i + length - 1].end,
+          tokenStart: i,
+          tokenEnd: i + length - 1,
+        });
+      }
+    }
+
+    return matches;
+  }
+
+  /**
+   * Whether text contains the term as whole words
+   * @param {string|Object} text - raw text or a prepared text
+   */
+  static containsPhrase(text, term) {
+    const prepared = typeof text === 'string' ? this.prepare(text) : text;
+    return this.findPhrase(prepared, this.compileTerm(term)).length > 0;
+  }
+
+  /**
+   * Token indices covered by a character range. A range between tokens
+   * (an emoji, say) gets a half-step position between its neighbours.
+   * @returns {{tokenStart, tokenEnd}}
+   */
+  static getTokenRange(prepared, start, end) {
+    let tokenStart = -1;
+    let tokenEnd = -1;
+
+    prepared.tokens.forEach((token, index) => {
+      if (token.end <= start || token.start >= end) return;
+      if (tokenStart === -1) tokenStart = index;
+      tokenEnd = index;
+    });
+
+    if (tokenStart !== -1) return { tokenStart, tokenEnd };
+
+    const next = prepared.tokens.findIndex(token => token.start >= end);
+    const position = (next === -1 ? prepared.tokens.length : next) - 0.5;
+    return { tokenStart: position, tokenEnd: position };
+  }
+
+  /**
+   * Number of tokens between two token ranges (1 when adjacent, 0 when overlapping)
+   */
+  static getTokenDistance(a, b) {
+    if (a.tokenEnd < b.tokenStart) return Math.ceil(b.tokenStart - a.tokenEnd);
+    if (b.tokenEnd < a.tokenStart) return Math.ceil(a.tokenStart - b.tokenEnd);
+    return 0;
+  }
+
+  /**
+   * Every occurrence of a single word as a token
+   * @returns {Array<{start, end, tokenStart, tokenEnd}>}
+   */
+  static findToken(prepared, word) {
+    const key = this.toKey(word);
+    if (!prepared.lowerSet.has(key)) return [];
+
+    return prepared.tokens
+      .map((token, index) => ({ token, index }))
+      .filter(({ token }) => token.lower === key)
+      .map(({ token, index }) => ({ start: token.start, end: token.end, tokenStart: index, tokenEnd: index }));
+  }
+
+  /**
+   * Whether a single lowercase word appears as a token
+   */
+  static hasToken(prepared, word) {
+    return prepared.lowerSet.has(this.toKey(word));
+  }
+}
+
+export default Tokenizer;
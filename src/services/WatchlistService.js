@@ -0,0 +1,196 @@
+import uuid from 'react-native-uuid';
+import ProgressTracker from './ProgressTracker';
+import ReleaseCalendar from './ReleaseCalendar';
+import DetectionRules from './DetectionRules';
+import Allowlist from './Allowlist';
+import {
+  WATCHLIST_CATEGORIES,
+  SENSITIVITY_LEVELS,
+} from '../utils/constants';
+
+/**
+ * Watchlist entry model
+ *
+ * Entries replace the original flat list of strings so that each protected
+ * term carries its own category, aliases, sensitivity, viewing progress,
+ * release calendar, detection rules and allowlist.
+ */
+class WatchlistService {
+  /**
+   * Create a new entry from a display name or a partial entry object
+   */
+  static createEntry(input = {}) {
+    const data = typeof input === 'string' ? { name: input } : input;
+    const now = new Date().toISOString();
+
+    return {
+      id: data.id || uuid.v4(),
+      name: (data.name || '').trim(),
+      category: this.isValidCategory(data.category)
+        ? data.category
+        : WATCHLIST_CATEGORIES.GENERAL,
+      aliases: this.cleanTermList(data.aliases),
+      localizedAliases: this.cleanLocalizedAliases(data.localizedAliases),
+      relatedTerms: this.cleanTermList(data.relatedTerms),
+      sensitivity: this.isValidSensitivity(data.sensitivity)
+        ? data.sensitivity
+        : SENSITIVITY_LEVELS.MEDIUM,
+      progress: ProgressTracker.normalizeProgress(data.progress),
+      events: ReleaseCalendar.normalizeEvents(data.events),
+      rules: DetectionRules.normalizeRules(data.rules),
+      allowlist: Allowlist.normalize(data.allowlist),
+      createdAt: data.createdAt || now,
+      updatedAt: data.updatedAt || now,
+    };
+  }
+
+  /**
+   * Apply updates to an entry, keeping its id and creation date
+   */
+  static updateEntry(entry, updates = {}) {
+    return this.createEntry({
+      ...entry,
+      ...updates,
+      id: entry.id,
+      createdAt: entry.createdAt,
+      updatedAt: new Date().toISOString(),
+    });
+  }
+
+  /**
+   * Migrate a stored watchlist to the current entry model.
+   * Legacy lists are plain arrays of strings.
+   */
+  static migrate(storedList) {
+    if (!Array.isArray(storedList)) {
+      return { entries: [], migrated: storedList != null };
+    }
+
+    let migrated = false;
+    const entries = [];
+
+    for (const item of storedList) {
+      if (typeof item === 'string') {
+        if (!item.trim()) continue;
+        entries.push(this.createEntry(item));
+        migrated = true;
+      } else if (item && typeof item === 'object' && item.name) {
+        const entry = this.createEntry(item);
+        if (!item.id || !item.createdAt) migrated = true;
+        entries.push(entry);
+      } else {
+        migrated = true; // Drop unreadable items
+      }
+    }
+
+    return { entries, migrated };
+  }
+
+  /**
+   * All searchable terms for an entry, tagged with where they came from
+   */
+  static getSearchTerms(entry) {
+    const terms = [{ term: entry.name, source: 'name' }];
+
+    entry.aliases.forEach(alias => terms.push({ term: alias, source: 'alias' }));
+    Object.entries(entry.localizedAliases || {}).forEach(([language, aliases]) =>
+      aliases.forEach(alias => terms.push({ term: alias, source: 'alias', language }))
+    );
+    entry.relatedTerms.forEach(related => terms.push({ term: related, source: 'related' }));
+
+    const seen = new Set();
+    return terms.filter(({ term }) => {
+      const key = term.toLowerCase().trim();
+      if (!key || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+
+  /**
+   * Check whether an entry is known by the given name or alias
+   */
+  static matchesName(entry, name) {
+    const target = (name || '').toLowerCase().trim();
+    return entry.name.toLowerCase() === target ||
+      entry.aliases.some(alias => alias.toLowerCase() === target) ||
+      Object.values(entry.localizedAliases || {}).some(aliases =>
+        aliases.some(alias => alias.toLowerCase() === target)
+      );
+  }
+
+  /**
+   * Find an entry by id or name
+   */
+  static findEntry(entries, idOrName) {
+    return entries.find(entry => entry.id === idOrName) ||
+      entries.find(entry => this.matchesName(entry, idOrName)) ||
+      null;
+  }
+
+  static isValidCategory(category) {
+    return Object.values(WATCHLIST_CATEGORIES).includes(category);
+  }
+
+  static isValidSensitivity(sensitivity) {
+    return Object.values(SENSITIVITY_LEVELS).includes(sensitivity);
+  }
+
+  /**
+   * Trim, de-duplicate and drop empty terms.
+   * Accepts an array or a comma-separated string (as typed in the UI).
+   */
+  static cleanTermList(terms) {
+    const list = typeof terms === 'string' ? terms.split(',') : terms;
+    if (!Array.isArray(list)) return [];
+
+    const seen = new Set();
+    return list
+      .map(term => (typeof term === 'string' ? term.trim() : ''))
+      .filter(term => {
+        const key = term.toLowerCase();
+        if (!term || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+  }
+
+  /**
+   * Per-language aliases as { [languageCode]: [alias, ...] }.
+   * Also accepts the typed form "es: La Casa del Dragón; ja: ハウス・オブ・ザ・ドラゴン".
+   */
+  static cleanLocalizedAliases(value) {
+    let map = value;
+    if (typeof value === 'string') {
+      map = {};
+      for (const part of value.split(';')) {
+        const separator = part.indexOf(':');
+        if (separator === -1) continue;
+        const language = part.slice(0, separator).trim().toLowerCase();
+        map[language] = [...(map[language] || []), ...part.slice(separator + 1).split(',')];
+      }
+    }
+    if (!map || typeof map !== 'object' || Array.isArray(map)) return {};
+
+    const cleaned = {};
+    for (const [language, aliases] of Object.entries(map)) {
+      const code = language.trim().toLowerCase();
+      const list = this.cleanTermList(aliases);
+      if (/^[a-z]{2,3}(?:-[a-z0-9]{2,8})?$/.test(code) && list.length > 0) {
+        cleaned[code] = list;
+      }
+    }
+    return cleaned;
+  }
+
+  /**
+   * Inverse of the typed form accepted by cleanLocalizedAliases
+   */
+  static formatLocalizedAliases(localizedAliases = {}) {
+    return Object.entries(localizedAliases)
+      .map(([language, aliases]) => `${language}: ${aliases.join(', ')}`)
+      .join('; ');
+  }
+}
+
+export default WatchlistService;
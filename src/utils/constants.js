@@ -0,0 +1,43 @@
+/**
+ * Shared constants for Spoiler Shield Mobile
+ */
+
+// Watchlist entry categories
+export const WATCHLIST_CATEGORIES = {
+  TV_SHOW: 'tv_show',
+  SPORT: 'sport',
+  MOVIE: 'movie',
+  BOOK: 'book',
+  GAME: 'game',
+  GENERAL: 'general', // Migrated or uncategorized terms
+};
+
+export const CATEGORY_INFO = {
+  tv_show: { label: 'TV Show', icon: 'tv-outline' },
+  sport: { label: 'Sport', icon: 'trophy-outline' },
+  movie: { label: 'Movie', icon: 'film-outline' },
+  book: { label: 'Book', icon: 'book-outline' },
+  game: { label: 'Game', icon: 'game-controller-outline' },
+  general: { label: 'General', icon: 'pricetag-outline' },
+};
+
+// Per-entry sensitivity levels
+export const SENSITIVITY_LEVELS = {
+  LOW: 'low',
+  MEDIUM: 'medium',
+  HIGH: 'high',
+};
+
+// Multipliers applied to match confidence for each sensitivity level
+export const SENSITIVITY_WEIGHTS = {
+  low: 0.8,
+  medium: 1.0,
+  high: 1.15,
+};
+
+// Confidence multipliers for the different kinds of entry terms
+export const TERM_SOURCE_WEIGHTS = {
+  name: 1.0,
+  alias: 1.0,
+  related: 0.85,
+};
@@ -0,0 +1,102 @@
+/**
+ * Shared helpers for Spoiler Shield Mobile
+ */
+
+/**
+ * Publication time of a feed item from any platform adapter.
+ * Reddit/Twitter/YouTube use `created`, News uses `published`.
+ */
+export const getItemTimestamp = (item) => {
+  const value = item?.created || item?.published;
+  if (!value) return null;
+
+  const date = value instanceof Date ? value : new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * A feed item's analysisContent, or its visible fields for items without one
+ */
+export const getItemFields = (item) => {
+  return item?.analysisContent || {
+    title: item?.title,
+    text: item?.text,
+    body: item?.selfText || item?.body,
+    description: item?.description,
+  };
+};
+
+/**
+ * Flatten a feed item's analysisContent (or its visible fields) into one string
+ */
+export const getItemText = (item) => {
+  return Object.entries(getItemFields(item))
+    .filter(([key]) => key !== 'type')
+    .flatMap(([, value]) => (Array.isArray(value) ? value : [value]))
+    .filter(value => typeof value === 'string' && value.trim())
+    .join(' ');
+};
+
+/**
+ * Add nested counters such as { key: { count: n, ... } }. Numbers are
+ * summed, objects merged recursively, anything else (labels) overwritten.
+ */
+export const mergeCounts = (base = {}, delta = {}) => {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(delta)) {
+    if (typeof value === 'number') {
+      merged[key] = (typeof merged[key] === 'number' ? merged[key] : 0) + value;
+    } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+      merged[key] = mergeCounts(merged[key], value);
+    } else {
+      merged[key] = value;
+    }
+  }
+  return merged;
+};
+
+/**
+ * Local calendar day as YYYY-MM-DD
+ */
+export const getDayKey = (date = new Date()) => {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+/**
+ * ISO week as YYYY-Www (weeks start on Monday)
+ */
+export const getWeekKey = (date = new Date()) => {
+  const thursday = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  thursday.setDate(thursday.getDate() + 3 - ((thursday.getDay() + 6) % 7));
+  const firstThursday = new Date(thursday.getFullYear(), 0, 4);
+  const week = 1 + Math.round(((thursday - firstThursday) / 86400000 - 3 + ((firstThursday.getDay() + 6) % 7)) / 7);
+  return `${thursday.getFullYear()}-W${String(week).padStart(2, '0')}`;
+};
+
+/**
+ * Split text into sentences at . ! ? … (followed by whitespace) and line
+ * breaks. Trailing whitespace stays with its sentence, so the pieces join
+ * back into the original text.
+ * @returns {Array<{text, start, end}>}
+ */
+export const splitSentences = (text = '') => {
+  const sentences = [];
+  let start = 0;
+
+  for (const match of text.matchAll(/[.!?…]+["'”’)\]]*(?=\s|$)|\n+/g)) {
+    let end = match.index + match[0].length;
+    while (end < text.length && /\s/.test(text[end])) end++;
+    if (end <= start) continue;
+
+    sentences.push({ text: text.slice(start, end), start, end });
+    start = end;
+  }
+
+  if (start < text.length) {
+    sentences.push({ text: text.slice(start), start, end: text.length });
+  }
+
+  return sentences;
+};